@@ -0,0 +1,253 @@
+/**
+ * Execution of `aws rds-data` commands through the AWS CLI.
+ * Every function accepts the spawn function as a dependency so it can be tested with a mock.
+ */
+
+import { getArgValue } from './options.js';
+import { classifyAwsError, classifySpawnError } from './errors.js';
+
+/**
+ * Global AWS CLI options that apply to every rds-data command.
+ * @type {string[]}
+ */
+export const GLOBAL_FLAGS = ['--profile', '--region', '--endpoint-url'];
+
+/**
+ * Default retry policy for retryable failures (a paused cluster resuming, throttling):
+ * up to `attempts` calls, waiting `baseDelayMs` after the first failure and doubling
+ * the wait after each one, up to `maxDelayMs` (about 45 seconds in total).
+ * @type {{attempts: number, baseDelayMs: number, maxDelayMs: number}}
+ */
+export const RETRY_DEFAULTS = { attempts: 7, baseDelayMs: 1000, maxDelayMs: 15000 };
+
+/**
+ * Reports a retry on stderr, so that the output of the query itself stays clean.
+ * @param {Error} error - The retryable error.
+ * @param {{attempt: number, attempts: number, delayMs: number}} retry - The failed attempt and the wait before the next one.
+ */
+function reportRetry(error, { attempt, attempts, delayMs }) {
+    const reason = error.code === 'DatabaseResumingException' ? 'Waiting for the cluster to resume' : 'Throttled by AWS';
+    console.error(`⏳ ${reason}, retrying in ${Math.round(delayMs / 1000)} s (attempt ${attempt + 1} of ${attempts})...`);
+}
+
+/**
+ * Spawns an `aws rds-data <command>` once and parses its JSON output.
+ * Listeners are attached synchronously, before the returned promise is awaited.
+ * @param {function} spawnFunc - The spawn function.
+ * @param {string} command - The rds-data command.
+ * @param {string[]} args - The arguments of the command.
+ * @returns {Promise<object|null>} The parsed JSON output, or null when the command printed nothing.
+ */
+function spawnAwsCommand(spawnFunc, command, args) {
+    // Use the provided spawn function to execute the AWS CLI command
+    const awsProcess = spawnFunc('aws', ['rds-data', command, ...args]);
+
+    let output = ''; // String to accumulate standard output
+    let errorOutput = ''; // String to accumulate standard error
+
+    // Listen for data on standard output
+    awsProcess.stdout.on('data', (data) => {
+        output += data.toString();
+    });
+
+    // Listen for data on standard error
+    awsProcess.stderr.on('data', (data) => {
+        errorOutput += data.toString();
+    });
+
+    // Return a Promise that resolves or rejects based on the child process outcome
+    return new Promise((resolve, reject) => {
+        // Listen for the 'error' event on the child process (e.g., command not found)
+        awsProcess.on('error', (err) => {
+            // Reject the promise with a specific error indicating spawn failure (e.g. the aws executable is missing)
+            reject(classifySpawnError(err));
+        });
+
+        // Listen for the 'close' event when the child process exits
+        awsProcess.on('close', (code) => {
+            // If the exit code is non-zero, the AWS command failed
+            if (code !== 0) {
+                // Reject the promise with an error classified from the stderr output
+                reject(classifyAwsError(errorOutput, code));
+                return;
+            }
+
+            // If there's no output, the command succeeded without returning anything
+            if (!output.trim()) {
+                resolve(null);
+                return;
+            }
+
+            try {
+                // Attempt to parse the output as JSON
+                resolve(JSON.parse(output));
+            } catch (e) {
+                // If JSON parsing fails, reject the promise with a parsing error
+                reject(new Error(`Error during the parsing of the output or invalid JSON:\n${e.message}\nOutput not valid JSON:\n${output}`));
+            }
+        });
+    });
+}
+
+/**
+ * Runs an `aws rds-data <command>` and parses its JSON output.
+ * Failures are classified (see errors.js); retryable ones, such as a paused Aurora
+ * Serverless cluster that is resuming, are retried with exponential backoff.
+ * The first process is spawned synchronously, before the returned promise is awaited.
+ *
+ * @param {function} spawnFunc - The function to use for spawning the child process (e.g., require('child_process').spawn or a mock).
+ * @param {string} command - The rds-data command (e.g. "execute-statement", "begin-transaction").
+ * @param {string[]} args - The arguments of the command.
+ * @param {object} [options]
+ * @param {object} [options.retry] - Overrides of RETRY_DEFAULTS, plus `onRetry(error, {attempt, attempts, delayMs})`
+ * called before each wait and `sleep(ms)` (mostly for tests).
+ * @returns {Promise<object|null>} The parsed JSON output, or null when the command printed nothing.
+ */
+export async function runAwsCommand(spawnFunc, command, args, { retry = {} } = {}) {
+    const {
+        attempts,
+        baseDelayMs,
+        maxDelayMs,
+        onRetry = reportRetry,
+        sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+    } = { ...RETRY_DEFAULTS, ...retry };
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await spawnAwsCommand(spawnFunc, command, args);
+        } catch (error) {
+            if (!error.retryable || attempt >= attempts) {
+                throw error;
+            }
+            const delayMs = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+            onRetry(error, { attempt, attempts, delayMs });
+            await sleep(delayMs);
+        }
+    }
+}
+
+/**
+ * Executes an AWS RDS Data API execute-statement command using the AWS CLI.
+ * This function is designed to be testable by accepting the spawn function as a dependency.
+ *
+ * For statements without a result set (INSERT/UPDATE/DELETE/DDL) the number of updated
+ * records and the generated fields returned by the Data API are kept, and the message
+ * reports the row count. Every output carries the wall-clock time of the call in `elapsedMs`.
+ *
+ * @param {function} spawnFunc - The function to use for spawning the child process (e.g., require('child_process').spawn or a mock).
+ * @param {string[]} args - An array of arguments to pass to the AWS CLI command (e.g., ['--resource-arn', '...', '--sql', '...']).
+ * @param {object} [options] - Options of runAwsCommand (e.g. `retry`).
+ * @returns {Promise<{success: boolean, results?: object, message?: string, numberOfRecordsUpdated?: number, generatedFields?: object[], elapsedMs: number, error?: Error}>} A promise that resolves with the parsed results or a success message, or rejects with an error.
+ */
+export async function executeAwsStatement(spawnFunc, args, options = {}) {
+    // Validate minimum required arguments (simplified check for demonstration)
+    // A more robust check might use a library or check for specific flags like --resource-arn, --secret-arn, --sql
+    if (!args || args.length === 0 || !args.some(arg => arg.startsWith('--sql'))) {
+        // Throw an error instead of calling process.exit directly
+        throw new Error("Missing required arguments for AWS CLI command.");
+    }
+
+    const started = Date.now();
+    const result = await runAwsCommand(spawnFunc, 'execute-statement', [
+        '--include-result-metadata', // Ensure this flag is always present
+        ...args // Add all arguments provided by the user
+    ], options);
+    const elapsedMs = Date.now() - started;
+
+    // Check if 'records' array exists and is an array (typical for SELECT)
+    if (result && Array.isArray(result.records)) {
+        // Resolve with the parsed results object
+        return {success: true, results: result, elapsedMs};
+    }
+
+    // Otherwise, it's a successful command without a standard result set (like INSERT/UPDATE)
+    if (typeof result?.numberOfRecordsUpdated !== 'number') {
+        return {success: true, message: 'Command run successfully. No results to display.', elapsedMs};
+    }
+
+    const count = result.numberOfRecordsUpdated;
+    const output = {
+        success: true,
+        message: `Command run successfully. ${count} row${count === 1 ? '' : 's'} updated.`,
+        numberOfRecordsUpdated: count,
+        elapsedMs
+    };
+    if (Array.isArray(result.generatedFields) && result.generatedFields.length > 0) {
+        output.generatedFields = result.generatedFields;
+    }
+    return output;
+}
+
+/**
+ * Executes a statement once per parameter set with batch-execute-statement.
+ * @param {function} spawnFunc - The spawn function.
+ * @param {string[]} args - The AWS CLI arguments, including the connection and --sql.
+ * @param {Array<Array<object>>} parameterSets - One SqlParameter list per execution.
+ * @returns {Promise<{updateResults?: object[]}|null>} The batch-execute-statement output.
+ */
+export function batchExecuteStatement(spawnFunc, args, parameterSets) {
+    return runAwsCommand(spawnFunc, 'batch-execute-statement', [
+        ...args,
+        '--parameter-sets', JSON.stringify(parameterSets)
+    ]);
+}
+
+/**
+ * Keeps only the given flags (and their values) from an argument list.
+ * @param {string[]} args - The argument list.
+ * @param {string[]} flags - The flags to keep.
+ * @returns {string[]} The selected flags, each followed by its value.
+ */
+export function pickArgs(args, flags) {
+    return flags.flatMap(flag => {
+        const value = getArgValue(args, flag);
+        return value === undefined ? [] : [flag, value];
+    });
+}
+
+/**
+ * Starts a Data API transaction.
+ * @param {function} spawnFunc - The spawn function.
+ * @param {string[]} connectionArgs - Arguments holding --resource-arn, --secret-arn and optionally
+ * --database, --schema and global AWS CLI options; any other argument is ignored.
+ * @param {object} [options] - Options of runAwsCommand (e.g. `retry`).
+ * @returns {Promise<string>} The transaction id.
+ */
+export async function beginTransaction(spawnFunc, connectionArgs, options = {}) {
+    const result = await runAwsCommand(spawnFunc, 'begin-transaction',
+        pickArgs(connectionArgs, ['--resource-arn', '--secret-arn', '--database', '--schema', ...GLOBAL_FLAGS]), options);
+    if (!result?.transactionId) {
+        throw new Error('begin-transaction did not return a transaction id.');
+    }
+    return result.transactionId;
+}
+
+/**
+ * Commits a Data API transaction.
+ * @param {function} spawnFunc - The spawn function.
+ * @param {string[]} connectionArgs - Arguments holding --resource-arn, --secret-arn and global AWS CLI options.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @param {object} [options] - Options of runAwsCommand (e.g. `retry`).
+ * @returns {Promise<object|null>} The commit-transaction output.
+ */
+export function commitTransaction(spawnFunc, connectionArgs, transactionId, options = {}) {
+    return runAwsCommand(spawnFunc, 'commit-transaction', [
+        ...pickArgs(connectionArgs, ['--resource-arn', '--secret-arn', ...GLOBAL_FLAGS]),
+        '--transaction-id', transactionId
+    ], options);
+}
+
+/**
+ * Rolls back a Data API transaction.
+ * @param {function} spawnFunc - The spawn function.
+ * @param {string[]} connectionArgs - Arguments holding --resource-arn, --secret-arn and global AWS CLI options.
+ * @param {string} transactionId - The id returned by beginTransaction.
+ * @param {object} [options] - Options of runAwsCommand (e.g. `retry`).
+ * @returns {Promise<object|null>} The rollback-transaction output.
+ */
+export function rollbackTransaction(spawnFunc, connectionArgs, transactionId, options = {}) {
+    return runAwsCommand(spawnFunc, 'rollback-transaction', [
+        ...pickArgs(connectionArgs, ['--resource-arn', '--secret-arn', ...GLOBAL_FLAGS]),
+        '--transaction-id', transactionId
+    ], options);
+}
@@ -0,0 +1,149 @@
+/**
+ * Schema introspection: listing databases, tables and indexes and describing tables.
+ *
+ * The catalog queries differ between Aurora PostgreSQL (pg_catalog) and Aurora MySQL
+ * (information_schema), so the engine is detected (or taken from --engine / the
+ * target's `engine`) first, like for EXPLAIN. Table names are always sent as Data API
+ * parameters, never concatenated into the SQL.
+ */
+
+/**
+ * The catalog commands, by the key of their command line option.
+ * @type {Object<string, string>}
+ */
+export const CATALOG_OPTIONS = {
+    listDatabases: 'databases',
+    listTables: 'tables',
+    describe: 'describe',
+    listIndexes: 'indexes'
+};
+
+// Catalog queries of each engine. A table name is given as :table (and :schema on MySQL)
+const QUERIES = {
+    postgres: {
+        databases: `SELECT datname AS "database"
+FROM pg_database
+WHERE NOT datistemplate
+ORDER BY datname`,
+        tables: `SELECT table_schema AS "schema", table_name AS "table", table_type AS "type"
+FROM information_schema.tables
+WHERE table_schema NOT IN ('pg_catalog', 'information_schema')
+ORDER BY table_schema, table_name`,
+        // to_regclass resolves the name like the database does (search_path, quoting, schema.table)
+        describe: `SELECT a.attname AS "column",
+  format_type(a.atttypid, a.atttypmod) AS "type",
+  CASE WHEN a.attnotnull THEN 'NO' ELSE 'YES' END AS "nullable",
+  pg_get_expr(d.adbin, d.adrelid) AS "default",
+  CASE WHEN a.attnum = ANY(i.indkey) THEN 'YES' ELSE 'NO' END AS "primary_key"
+FROM pg_attribute a
+LEFT JOIN pg_attrdef d ON d.adrelid = a.attrelid AND d.adnum = a.attnum
+LEFT JOIN pg_index i ON i.indrelid = a.attrelid AND i.indisprimary
+WHERE a.attrelid = to_regclass(:table) AND a.attnum > 0 AND NOT a.attisdropped
+ORDER BY a.attnum`,
+        indexes: `SELECT c.relname AS "index",
+  array_to_string(ARRAY(SELECT pg_get_indexdef(x.indexrelid, k, true) FROM generate_series(1, x.indnkeyatts) AS k), ', ') AS "columns",
+  CASE WHEN x.indisunique THEN 'YES' ELSE 'NO' END AS "unique",
+  CASE WHEN x.indisprimary THEN 'YES' ELSE 'NO' END AS "primary",
+  am.amname AS "method"
+FROM pg_index x
+JOIN pg_class c ON c.oid = x.indexrelid
+JOIN pg_am am ON am.oid = c.relam
+WHERE x.indrelid = to_regclass(:table)
+ORDER BY x.indisprimary DESC, c.relname`
+    },
+    mysql: {
+        databases: `SELECT schema_name AS \`database\`
+FROM information_schema.schemata
+ORDER BY schema_name`,
+        tables: `SELECT table_schema AS \`schema\`, table_name AS \`table\`, table_type AS \`type\`
+FROM information_schema.tables
+WHERE table_schema NOT IN ('mysql', 'information_schema', 'performance_schema', 'sys')
+ORDER BY table_schema, table_name`,
+        describe: `SELECT column_name AS \`column\`,
+  column_type AS \`type\`,
+  is_nullable AS \`nullable\`,
+  column_default AS \`default\`,
+  CASE WHEN column_key = 'PRI' THEN 'YES' ELSE 'NO' END AS \`primary_key\`
+FROM information_schema.columns
+WHERE table_schema = COALESCE(:schema, DATABASE()) AND table_name = :table
+ORDER BY ordinal_position`,
+        indexes: `SELECT index_name AS \`index\`,
+  GROUP_CONCAT(column_name ORDER BY seq_in_index SEPARATOR ', ') AS \`columns\`,
+  CASE WHEN MIN(non_unique) = 0 THEN 'YES' ELSE 'NO' END AS \`unique\`,
+  CASE WHEN index_name = 'PRIMARY' THEN 'YES' ELSE 'NO' END AS \`primary\`,
+  MIN(index_type) AS \`method\`
+FROM information_schema.statistics
+WHERE table_schema = COALESCE(:schema, DATABASE()) AND table_name = :table
+GROUP BY index_name
+ORDER BY index_name = 'PRIMARY' DESC, index_name`
+    }
+};
+
+/**
+ * Splits a MySQL table name into its database and table parts, e.g. "app.users"
+ * or "`app`.`users`". Without a database part, the current database is used.
+ * @param {string} table - The table name.
+ * @returns {{schema: string|null, name: string}} The database (null when absent) and the table.
+ */
+function splitTableName(table) {
+    const parts = table.split('.').map(part => part.trim().replace(/^[`"](.*)[`"]$/, '$1'));
+    return parts.length > 1 ? { schema: parts[0], name: parts.slice(1).join('.') } : { schema: null, name: parts[0] };
+}
+
+/**
+ * Builds the catalog query of a command for an engine.
+ * @param {string} engine - "postgres" or "mysql".
+ * @param {string} command - "databases", "tables", "describe" or "indexes".
+ * @param {string} [table] - The table, for "describe" and "indexes".
+ * @returns {{sql: string, parameters: object[]}} The statement and its Data API parameters.
+ */
+export function buildCatalogQuery(engine, command, table) {
+    const sql = QUERIES[engine]?.[command];
+    if (!sql) {
+        throw new Error(`Unknown catalog command "${command}" for engine "${engine}".`);
+    }
+    if (command !== 'describe' && command !== 'indexes') {
+        return { sql, parameters: [] };
+    }
+    if (!table) {
+        throw new Error('A table name is needed.');
+    }
+
+    if (engine === 'postgres') {
+        return { sql, parameters: [{ name: 'table', value: { stringValue: table } }] };
+    }
+    const { schema, name } = splitTableName(table);
+    return {
+        sql,
+        parameters: [
+            { name: 'schema', value: schema === null ? { isNull: true } : { stringValue: schema } },
+            { name: 'table', value: { stringValue: name } }
+        ]
+    };
+}
+
+/**
+ * Runs a catalog command.
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} connectionArgs - The connection arguments (without --sql and --parameters).
+ * @param {object} request
+ * @param {string} request.engine - "postgres" or "mysql".
+ * @param {string} request.command - "databases", "tables", "describe" or "indexes".
+ * @param {string} [request.table] - The table, for "describe" and "indexes".
+ * @returns {Promise<object>} The statement output, to be shown with displayResults.
+ * @throws {Error} When the table to describe does not exist.
+ */
+export async function runCatalogCommand(execute, connectionArgs, { engine, command, table }) {
+    const { sql, parameters } = buildCatalogQuery(engine, command, table);
+    const args = [...connectionArgs, '--sql', sql];
+    if (parameters.length > 0) {
+        args.push('--parameters', JSON.stringify(parameters));
+    }
+
+    const output = await execute(args);
+    // A table without columns does not exist (or is not visible to the user)
+    if (command === 'describe' && output.results && (output.results.records ?? []).length === 0) {
+        throw new Error(`Table "${table}" not found.`);
+    }
+    return output;
+}
@@ -0,0 +1,132 @@
+/**
+ * The Node API: a client running statements through the Data API and returning
+ * plain row objects instead of printing them.
+ *
+ *     const db = createClient({ resourceArn, secretArn, database: 'app' });
+ *     const users = await db.query('SELECT id, email FROM users WHERE id = :id', { id: 5 });
+ *
+ * Values are decoded as by the command line (numbers, booleans, Dates, Buffers, parsed
+ * JSON documents, BigInts for integers beyond Number.MAX_SAFE_INTEGER). The statements
+ * still go through the AWS CLI, with its credentials and retries.
+ */
+
+import { spawn as originalSpawn } from 'child_process';
+import { executeAwsStatement, beginTransaction, commitTransaction, rollbackTransaction } from './aws.js';
+import { decodeResult, decodeField } from './decode.js';
+import { formatResults } from './formatters.js';
+import { toSqlParameters } from './parameters.js';
+import { fetchPages } from './paginate.js';
+import { guardExecute } from './guard.js';
+
+/**
+ * Converts the decoded rows into objects keyed by column name.
+ * When several columns have the same name (e.g. in a join), the last one wins.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {object[]} One object per row.
+ */
+function toRowObjects({ columns, rows }) {
+    const names = columns.map((col, i) => col.name ?? `column${i + 1}`);
+    return rows.map(row => Object.fromEntries(names.map((name, i) => [name, row[i]])));
+}
+
+/**
+ * Builds the statement functions of a client, bound to connection arguments.
+ * @param {function(string[]): Promise<object>} run - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} connectionArgs - The connection arguments, plus --transaction-id inside a transaction.
+ * @returns {{execute: function, query: function, stream: function}} The statement functions.
+ */
+function statementFunctions(run, connectionArgs) {
+    const statementArgs = (sql, params) => {
+        const parameters = toSqlParameters(params);
+        return [...connectionArgs, '--sql', sql, ...(parameters.length > 0 ? ['--parameters', JSON.stringify(parameters)] : [])];
+    };
+
+    const execute = async (sql, params) => {
+        const output = await run(statementArgs(sql, params));
+        const decoded = output.results ? decodeResult(output.results) : { columns: [], rows: [] };
+        return {
+            columns: decoded.columns,
+            rows: toRowObjects(decoded),
+            numberOfRecordsUpdated: output.numberOfRecordsUpdated ?? 0,
+            generatedFields: (output.generatedFields ?? []).map(field => decodeField(field)),
+            elapsedMs: output.elapsedMs
+        };
+    };
+
+    return {
+        execute,
+        query: async (sql, params) => (await execute(sql, params)).rows,
+        stream: async function* (sql, params, options) {
+            for await (const page of fetchPages(run, statementArgs(sql, params), options)) {
+                yield* toRowObjects(decodeResult(page));
+            }
+        }
+    };
+}
+
+/**
+ * Creates a client for an Aurora cluster reached through the Data API.
+ * @param {object} options
+ * @param {string} options.resourceArn - The ARN of the cluster.
+ * @param {string} options.secretArn - The ARN of the Secrets Manager secret holding the credentials.
+ * @param {string} [options.database] - The database.
+ * @param {string} [options.schema] - The schema (MySQL clusters ignore it).
+ * @param {string} [options.profile] - The AWS CLI profile.
+ * @param {string} [options.region] - The AWS region.
+ * @param {boolean} [options.readOnly=false] - Refuse every statement that writes data or changes the schema.
+ * @param {object} [options.retry] - Overrides of the retry settings (see runAwsCommand). Unlike the
+ * command line, the client does not report retries on stderr unless `retry.onRetry` is given.
+ * @param {function} [options.spawn] - The function spawning the AWS CLI (child_process.spawn by default).
+ * @returns {{execute: function, query: function, stream: function, transaction: function}} The client:
+ * - `query(sql, params)` resolves to the rows, as objects keyed by column name;
+ * - `execute(sql, params)` resolves to `{columns, rows, numberOfRecordsUpdated, generatedFields, elapsedMs}`;
+ * - `stream(sql, params, {pageSize, keyset, maxRows})` yields the rows of a query fetched page by page
+ *   (see fetchPages);
+ * - `transaction(fn)` runs `fn(tx)` in a transaction, where `tx` has the three functions above; the
+ *   transaction is committed when the promise of `fn` resolves and rolled back when it rejects.
+ * `params` is an object of JavaScript values by parameter name (see toSqlParameters).
+ * @throws {Error} When the resource or secret ARN is missing.
+ */
+export function createClient({ resourceArn, secretArn, database, schema, profile, region, readOnly = false, retry, spawn = originalSpawn } = {}) {
+    if (!resourceArn || !secretArn) {
+        throw new Error('createClient needs the resourceArn and the secretArn of the cluster.');
+    }
+    const connectionArgs = Object.entries({ resourceArn, secretArn, database, schema, profile, region })
+        .filter(([, value]) => value !== undefined)
+        .flatMap(([name, value]) => [`--${name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`, value]);
+
+    const awsOptions = { retry: { onRetry: () => {}, ...retry } };
+    const awsRun = args => executeAwsStatement(spawn, args, awsOptions);
+    const run = readOnly ? guardExecute(awsRun, { readOnly: true, yes: true }) : awsRun;
+
+    return {
+        ...statementFunctions(run, connectionArgs),
+        async transaction(fn) {
+            const transactionId = await beginTransaction(spawn, connectionArgs, awsOptions);
+            let result;
+            try {
+                result = await fn(statementFunctions(run, [...connectionArgs, '--transaction-id', transactionId]));
+            } catch (error) {
+                // The error of fn matters more than a failed rollback; the transaction then expires on its own
+                await rollbackTransaction(spawn, connectionArgs, transactionId, awsOptions).catch(() => {});
+                throw error;
+            }
+            await commitTransaction(spawn, connectionArgs, transactionId, awsOptions);
+            return result;
+        }
+    };
+}
+
+/**
+ * Formats the result of `execute` (or any `{columns, rows}` whose rows are objects keyed by
+ * column name) in one of the output formats, as the command line would print it.
+ * @param {{columns: object[], rows: object[]}} result - The result.
+ * @param {string} [format='table'] - The output format (see FORMATS).
+ * @param {object} [options] - The options of the format (see formatResults).
+ * @returns {string} The formatted output.
+ */
+export function formatRows({ columns, rows }, format = 'table', options = {}) {
+    const names = columns.map((col, i) => col.name ?? `column${i + 1}`);
+    const arrays = rows.map(row => names.map(name => row[name] ?? null));
+    return formatResults({ columns, rows: arrays }, format, options);
+}
@@ -0,0 +1,217 @@
+/**
+ * Named connection targets.
+ *
+ * Targets are read from `.rds-pretty-query.json` in the home directory and in the
+ * current working directory (the project-local file wins), e.g.:
+ *
+ *     {
+ *       "defaultTarget": "staging",
+ *       "targets": {
+ *         "staging": {
+ *           "resourceArn": "arn:aws:rds:eu-west-1:123456789012:cluster:staging",
+ *           "secretArn": "arn:aws:secretsmanager:eu-west-1:123456789012:secret:staging-AbCdEf",
+ *           "database": "app",
+ *           "profile": "dev",
+ *           "region": "eu-west-1"
+ *         }
+ *       }
+ *     }
+ */
+
+import { readFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FORMATS } from './formatters.js';
+import { ENGINES } from './explain.js';
+import { getArgValue } from './options.js';
+
+/**
+ * Name of the configuration file looked up in the home and working directories.
+ * @type {string}
+ */
+export const CONFIG_FILE_NAME = '.rds-pretty-query.json';
+
+// Target fields forwarded to the AWS CLI, with the flag each one maps to
+const TARGET_FLAGS = {
+    resourceArn: '--resource-arn',
+    secretArn: '--secret-arn',
+    database: '--database',
+    schema: '--schema',
+    profile: '--profile',
+    region: '--region'
+};
+
+// Fields a target may define besides the AWS CLI ones
+const TARGET_SETTINGS = ['format', 'engine', 'readOnly'];
+
+/**
+ * Reads and parses one configuration file.
+ * @param {string} file - The path of the file.
+ * @returns {Promise<object|null>} The parsed configuration, or null if the file does not exist.
+ */
+async function readConfigFile(file) {
+    let text;
+    try {
+        text = await readFile(file, 'utf8');
+    } catch (e) {
+        if (e.code === 'ENOENT') {
+            return null;
+        }
+        throw new Error(`Unable to read configuration file ${file}: ${e.message}`);
+    }
+
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        throw new Error(`Invalid configuration file ${file}: ${e.message}`);
+    }
+}
+
+/**
+ * Loads and merges the home and project configuration files.
+ * Targets defined in both files are merged field by field, the project file winning.
+ * Each target records the file(s) it was read from in a non-enumerable `source` property.
+ *
+ * @param {object} [locations]
+ * @param {string} [locations.cwd=process.cwd()] - The directory holding the project-local file.
+ * @param {string} [locations.homeDir=os.homedir()] - The directory holding the user file.
+ * @returns {Promise<{defaultTarget?: string, targets: Object<string, object>}>} The merged configuration.
+ */
+export async function loadConfig({ cwd = process.cwd(), homeDir = os.homedir() } = {}) {
+    const files = [path.join(homeDir, CONFIG_FILE_NAME)];
+    const projectFile = path.join(cwd, CONFIG_FILE_NAME);
+    if (!files.includes(projectFile)) {
+        files.push(projectFile);
+    }
+
+    const config = { targets: {} };
+    for (const file of files) {
+        const fileConfig = await readConfigFile(file);
+        if (!fileConfig) {
+            continue;
+        }
+        if (fileConfig.defaultTarget !== undefined) {
+            config.defaultTarget = fileConfig.defaultTarget;
+        }
+        for (const [name, target] of Object.entries(fileConfig.targets ?? {})) {
+            const previous = config.targets[name];
+            config.targets[name] = { ...previous, ...target };
+            Object.defineProperty(config.targets[name], 'source', {
+                value: previous ? `${previous.source}, ${file}` : file,
+                enumerable: false
+            });
+        }
+    }
+
+    return config;
+}
+
+/**
+ * Looks up a target by name.
+ * @param {{targets: Object<string, object>}} config - The loaded configuration.
+ * @param {string} name - The target name.
+ * @returns {object} The target.
+ * @throws {Error} If the target is not defined.
+ */
+export function getTarget(config, name) {
+    const target = config.targets[name];
+    if (!target) {
+        const known = Object.keys(config.targets);
+        throw new Error(`Unknown target "${name}". ${known.length > 0 ? `Configured targets: ${known.join(', ')}.` : `No targets configured in ${CONFIG_FILE_NAME}.`}`);
+    }
+    return target;
+}
+
+/**
+ * Chooses the target to use for a command: the one named with --target, otherwise the
+ * configured `defaultTarget` as long as the command line does not name a cluster itself.
+ * @param {{defaultTarget?: string, targets: Object<string, object>}} config - The loaded configuration.
+ * @param {string|undefined} name - The --target value.
+ * @param {string[]} awsArgs - The arguments given on the command line.
+ * @returns {object|null} The selected target, or null when none applies.
+ */
+export function selectTarget(config, name, awsArgs) {
+    if (name) {
+        return getTarget(config, name);
+    }
+    if (config.defaultTarget && getArgValue(awsArgs, '--resource-arn') === undefined) {
+        return getTarget(config, config.defaultTarget);
+    }
+    return null;
+}
+
+/**
+ * Describes the configured targets as a result set, so it can be printed with any formatter.
+ * @param {{defaultTarget?: string, targets: Object<string, object>}} config - The loaded configuration.
+ * @returns {{columns: object[], rows: Array[]}} One row per target.
+ */
+export function describeTargets(config) {
+    const columns = ['target', 'database', 'region', 'profile', 'valid', 'source'].map(name => ({ name }));
+    const rows = Object.entries(config.targets).map(([name, target]) => [
+        name === config.defaultTarget ? `${name} (default)` : name,
+        target.database ?? null,
+        target.region ?? null,
+        target.profile ?? null,
+        validateTarget(target).length === 0,
+        target.source ?? null
+    ]);
+    return { columns, rows };
+}
+
+/**
+ * Checks that a target has everything needed to run a statement.
+ * @param {object} target - The target to validate.
+ * @returns {string[]} The problems found (empty when the target is valid).
+ */
+export function validateTarget(target) {
+    const problems = [];
+
+    for (const field of ['resourceArn', 'secretArn']) {
+        if (!target[field]) {
+            problems.push(`missing ${field}`);
+        }
+    }
+    if (target.resourceArn && !/^arn:aws[\w-]*:rds:/.test(target.resourceArn)) {
+        problems.push(`resourceArn "${target.resourceArn}" is not an RDS ARN`);
+    }
+    if (target.secretArn && !/^arn:aws[\w-]*:secretsmanager:/.test(target.secretArn)) {
+        problems.push(`secretArn "${target.secretArn}" is not a Secrets Manager ARN`);
+    }
+    if (target.format !== undefined && !FORMATS.includes(target.format)) {
+        problems.push(`unknown format "${target.format}" (supported: ${FORMATS.join(', ')})`);
+    }
+
+    if (target.engine !== undefined && !ENGINES.includes(target.engine)) {
+        problems.push(`unknown engine "${target.engine}" (supported: ${ENGINES.join(', ')})`);
+    }
+
+    if (target.readOnly !== undefined && typeof target.readOnly !== 'boolean') {
+        problems.push(`readOnly must be true or false`);
+    }
+
+    const knownFields = [...Object.keys(TARGET_FLAGS), ...TARGET_SETTINGS];
+    for (const field of Object.keys(target)) {
+        if (!knownFields.includes(field)) {
+            problems.push(`unknown field "${field}"`);
+        }
+    }
+
+    return problems;
+}
+
+/**
+ * Adds the connection arguments of a target to the AWS CLI arguments.
+ * Flags already present in `awsArgs` are explicit and win over the target values.
+ * @param {object} target - The target.
+ * @param {string[]} awsArgs - The arguments given on the command line.
+ * @returns {string[]} The target arguments followed by the command line arguments.
+ */
+export function applyTarget(target, awsArgs) {
+    const targetArgs = [];
+    for (const [field, flag] of Object.entries(TARGET_FLAGS)) {
+        if (target[field] !== undefined && getArgValue(awsArgs, flag) === undefined) {
+            targetArgs.push(flag, String(target[field]));
+        }
+    }
+    return [...targetArgs, ...awsArgs];
+}
@@ -0,0 +1,267 @@
+/**
+ * Decoding of RDS Data API result fields into JavaScript values.
+ *
+ * Every cell returned by `execute-statement` is a tagged object with exactly one
+ * populated member (stringValue, longValue, doubleValue, booleanValue, isNull,
+ * blobValue or arrayValue). The tag alone is not enough to recover the real value:
+ * decimals, JSON documents and timestamps all arrive as `stringValue`, so the
+ * column's `typeName` from `columnMetadata` is used to refine the conversion.
+ */
+
+// Postgres and MySQL type names grouped by how their values should be decoded.
+// Names are compared lower-cased, without the MySQL "unsigned" suffix and without
+// the leading underscore Postgres uses for array types (e.g. "_int4").
+const INTEGER_TYPES = new Set(['int', 'int2', 'int4', 'int8', 'integer', 'smallint', 'bigint', 'tinyint', 'mediumint', 'serial', 'serial4', 'serial8', 'bigserial', 'smallserial', 'year']);
+const FLOAT_TYPES = new Set(['float', 'float4', 'float8', 'real', 'double', 'double precision']);
+const DECIMAL_TYPES = new Set(['numeric', 'decimal', 'money']);
+const JSON_TYPES = new Set(['json', 'jsonb']);
+const TIMESTAMP_TYPES = new Set(['timestamp', 'timestamptz', 'datetime', 'timestamp without time zone', 'timestamp with time zone']);
+const DATE_TYPES = new Set(['date']);
+const BOOLEAN_TYPES = new Set(['bool', 'boolean']);
+const BINARY_TYPES = new Set(['bytea', 'binary', 'varbinary', 'blob', 'tinyblob', 'mediumblob', 'longblob']);
+
+/**
+ * Normalizes a column type name so it can be looked up in the type sets above.
+ * @param {string} [typeName] - The raw `typeName` from columnMetadata (e.g. "INT UNSIGNED", "_jsonb").
+ * @returns {string} The normalized type name, or an empty string when unknown.
+ */
+export function normalizeTypeName(typeName) {
+    return String(typeName ?? '')
+        .toLowerCase()
+        .replace(/^_/, '') // Postgres array types are the element type prefixed with "_"
+        .replace(/\s+unsigned$/, '')
+        .replace(/\(.*\)$/, '') // Drop length/precision modifiers such as varchar(255)
+        .trim();
+}
+
+/**
+ * Tells whether a column holds numbers (integers, floats or decimals), e.g. to right-align it.
+ * @param {string} [typeName] - The raw `typeName` from columnMetadata.
+ * @returns {boolean} True for numeric types.
+ */
+export function isNumericType(typeName) {
+    const type = normalizeTypeName(typeName);
+    return INTEGER_TYPES.has(type) || FLOAT_TYPES.has(type) || DECIMAL_TYPES.has(type);
+}
+
+/**
+ * Tells whether a column holds JSON documents (json, jsonb).
+ * @param {string} [typeName] - The raw `typeName` from columnMetadata.
+ * @returns {boolean} True for JSON types.
+ */
+export function isJsonType(typeName) {
+    return JSON_TYPES.has(normalizeTypeName(typeName));
+}
+
+/**
+ * Tells whether a column holds timestamps with a time zone (Postgres timestamptz).
+ * @param {string} [typeName] - The raw `typeName` from columnMetadata.
+ * @returns {boolean} True for timestamptz.
+ */
+export function isZonedTimestampType(typeName) {
+    const type = normalizeTypeName(typeName);
+    return type === 'timestamptz' || type === 'timestamp with time zone';
+}
+
+// Key of the string a decoded Date was parsed from (see sourceText)
+const SOURCE_TEXT = Symbol('sourceText');
+
+/**
+ * Returns the Data API string a decoded timestamp or date was parsed from.
+ * A Date only holds milliseconds and no time zone, so the microseconds and the offset
+ * of the original value are only found there.
+ * @param {Date} date - A Date produced by decodeField.
+ * @returns {string|undefined} The original string, or undefined for other Dates.
+ */
+export function sourceText(date) {
+    return date[SOURCE_TEXT];
+}
+
+/**
+ * Parses a Data API timestamp or date string into a Date.
+ * The Data API returns timestamps as "YYYY-MM-DD HH:MM:SS[.fff...]" in UTC; fractional
+ * digits beyond milliseconds cannot be represented by a Date, so the original string is
+ * kept with it (see sourceText) and used for display.
+ * @param {string} text - The timestamp or date string.
+ * @returns {Date|string} The parsed Date, or the original string if it cannot be parsed.
+ */
+function parseTimestamp(text) {
+    const match = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2}:\d{2})(\.\d+)?)?\s*(Z|[+-]\d{2}(?::?\d{2})?)?$/.exec(text.trim());
+    if (!match) {
+        return text;
+    }
+
+    const [, datePart, timePart = '00:00:00', fraction = '', zone = 'Z'] = match;
+    const millis = fraction ? fraction.slice(0, 4).padEnd(4, '0') : '';
+    // Normalize "+02" / "+0200" offsets into the "+02:00" form Date understands
+    const offset = zone === 'Z' ? 'Z' : zone.replace(/^([+-]\d{2}):?(\d{2})?$/, (_, h, m) => `${h}:${m ?? '00'}`);
+    const date = new Date(`${datePart}T${timePart}${millis}${offset}`);
+    if (Number.isNaN(date.getTime())) {
+        return text;
+    }
+    // Not enumerable, so that the Date still compares equal to any other Date of the same time
+    Object.defineProperty(date, SOURCE_TEXT, { value: text.trim() });
+    return date;
+}
+
+/**
+ * Converts a string value according to the column type it belongs to.
+ * @param {string} text - The raw stringValue.
+ * @param {string} type - The normalized column type name.
+ * @returns {*} The decoded value.
+ */
+function decodeString(text, type) {
+    if (JSON_TYPES.has(type)) {
+        try {
+            return JSON.parse(text);
+        } catch (e) {
+            // Leave malformed documents untouched rather than failing the whole result
+            return text;
+        }
+    }
+    if (TIMESTAMP_TYPES.has(type) || DATE_TYPES.has(type)) {
+        return parseTimestamp(text);
+    }
+    if (INTEGER_TYPES.has(type) && /^-?\d+$/.test(text)) {
+        // Unsigned BIGINTs and similar may exceed the safe integer range
+        const asNumber = Number(text);
+        return Number.isSafeInteger(asNumber) ? asNumber : BigInt(text);
+    }
+    if (FLOAT_TYPES.has(type) && text.trim() !== '' && !Number.isNaN(Number(text))) {
+        return Number(text);
+    }
+    if (BOOLEAN_TYPES.has(type) && (text === 't' || text === 'f' || text === 'true' || text === 'false')) {
+        return text === 't' || text === 'true';
+    }
+    // Decimals stay strings so that no precision is lost; uuid, text, time etc. are already strings
+    return text;
+}
+
+/**
+ * Decodes a Data API ArrayValue, recursing into nested arrays.
+ * @param {object} arrayValue - An ArrayValue object (booleanValues, longValues, doubleValues, stringValues or arrayValues).
+ * @param {string} type - The normalized element type name.
+ * @returns {Array} The decoded array.
+ */
+function decodeArray(arrayValue, type) {
+    if (Array.isArray(arrayValue.arrayValues)) {
+        return arrayValue.arrayValues.map(nested => decodeArray(nested, type));
+    }
+    if (Array.isArray(arrayValue.stringValues)) {
+        return arrayValue.stringValues.map(text => (text === null ? null : decodeString(text, type)));
+    }
+    const values = arrayValue.booleanValues ?? arrayValue.longValues ?? arrayValue.doubleValues ?? [];
+    return values.map(value => value ?? null);
+}
+
+/**
+ * Decodes a single Data API field into a JavaScript value.
+ *
+ * - `isNull` becomes `null`
+ * - `booleanValue`, `longValue` and `doubleValue` become booleans and numbers
+ * - `blobValue` (base64) becomes a Buffer
+ * - `arrayValue` becomes a (possibly nested) array
+ * - `stringValue` is refined by the column type: json/jsonb are parsed, timestamps and
+ *   dates become Date objects (which keep the original string, see sourceText), oversized integers become BigInt; numeric/decimal values
+ *   stay strings to keep their exact precision
+ *
+ * @param {object} field - The Data API field (e.g. `{longValue: 5}` or `{isNull: true}`).
+ * @param {object} [column] - The matching entry of `columnMetadata`, if available.
+ * @returns {*} The decoded value.
+ */
+export function decodeField(field, column) {
+    if (!field || typeof field !== 'object' || field.isNull) {
+        return null;
+    }
+
+    const type = normalizeTypeName(column?.typeName);
+
+    if ('stringValue' in field) {
+        return decodeString(field.stringValue, type);
+    }
+    if ('longValue' in field) {
+        return field.longValue;
+    }
+    if ('doubleValue' in field) {
+        return field.doubleValue;
+    }
+    if ('booleanValue' in field) {
+        return field.booleanValue;
+    }
+    if ('blobValue' in field) {
+        return Buffer.from(field.blobValue ?? '', 'base64');
+    }
+    if ('arrayValue' in field) {
+        return decodeArray(field.arrayValue ?? {}, type);
+    }
+
+    // Unknown variant: fall back to the first member, as older versions did
+    const [value] = Object.values(field);
+    return value ?? null;
+}
+
+/**
+ * Decodes all the records of an execute-statement result.
+ * @param {object} result - The parsed Data API response (with `records` and optional `columnMetadata`).
+ * @returns {{columns: object[], rows: Array[]}} The column metadata (an empty array if absent) and the decoded rows.
+ */
+export function decodeResult(result) {
+    const columns = result.columnMetadata ?? [];
+    const rows = (result.records ?? []).map(record =>
+        record.map((field, i) => decodeField(field, columns[i]))
+    );
+    return { columns, rows };
+}
+
+/**
+ * Pads a number to two (or more) digits for date formatting.
+ * @param {number} value - The number to pad.
+ * @param {number} [length=2] - The minimum length.
+ * @returns {string} The zero-padded number.
+ */
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * Formats a Date the way the database prints it: "YYYY-MM-DD" for date columns,
+ * "YYYY-MM-DD HH:MM:SS[.mmm]" (UTC) otherwise.
+ * @param {Date} date - The date to format.
+ * @param {string} type - The normalized column type name.
+ * @returns {string} The formatted date.
+ */
+function formatDate(date, type) {
+    const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+    if (DATE_TYPES.has(type)) {
+        return day;
+    }
+    const millis = date.getUTCMilliseconds();
+    const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}`;
+    return `${day} ${time}${millis ? `.${pad(millis, 3)}` : ''}`;
+}
+
+/**
+ * Converts a decoded value into the string shown to the user.
+ * Decoded timestamps and dates are shown exactly as the Data API returned them.
+ * @param {*} value - A value produced by decodeField.
+ * @param {object} [column] - The matching entry of `columnMetadata`, if available.
+ * @param {object} [options]
+ * @param {string} [options.nullText='NULL'] - The text used for SQL NULL.
+ * @returns {string} The display string.
+ */
+export function formatValue(value, column, { nullText = 'NULL' } = {}) {
+    if (value === null || value === undefined) {
+        return nullText;
+    }
+    if (value instanceof Date) {
+        return sourceText(value) ?? formatDate(value, normalizeTypeName(column?.typeName));
+    }
+    if (Buffer.isBuffer(value)) {
+        // Same notation as Postgres' bytea hex output
+        return `\\x${value.toString('hex')}`;
+    }
+    if (Array.isArray(value) || typeof value === 'object') {
+        return JSON.stringify(value, (key, nested) => (typeof nested === 'bigint' ? nested.toString() : nested));
+    }
+    return String(value);
+}
@@ -0,0 +1,285 @@
+/**
+ * Comparison of the results of one query on two targets.
+ *
+ * The `diff` command runs the same statement on a "left" and a "right" target (e.g.
+ * staging and production) and reports the rows only found on the right (added), the
+ * rows only found on the left (removed) and, when rows are matched by key columns,
+ * the rows whose other cells differ (changed). Without key columns, rows are matched
+ * by a hash of their whole content, so a changed row shows up as removed and added.
+ *
+ * Cells are compared as they are displayed (see formatValue), so a value is equal on
+ * both sides when it prints the same, whatever the Data API field type it came in.
+ */
+
+import { createHash } from 'crypto';
+import { decodeResult, formatValue, isNumericType } from './decode.js';
+import { toJsonValue } from './formatters.js';
+import { renderTable } from './layout.js';
+import { classifySql, GuardError } from './guard.js';
+import { getArgValue } from './options.js';
+
+/**
+ * Output formats supported by the diff command.
+ * @type {string[]}
+ */
+export const DIFF_FORMATS = ['table', 'json'];
+
+// Marker shown in the first column of the table, for each kind of change
+const MARKERS = { added: '+', removed: '-', changed: '~' };
+
+// Terminal colors of each kind of change (changed rows only color the cells that differ)
+const COLORS = { added: '\x1b[32m', removed: '\x1b[31m', changed: '\x1b[33m' };
+const RESET = '\x1b[0m';
+
+/**
+ * Keeps the given columns of a decoded result, in the given order.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @param {string[]} names - The names of the columns to keep.
+ * @returns {{columns: object[], rows: {values: Array, text: string[]}[]}} The columns and, for each row,
+ * the decoded values and their display text.
+ */
+function project(decoded, names) {
+    const indexes = names.map(name => decoded.columns.findIndex(col => col.name === name));
+    const columns = indexes.map(i => decoded.columns[i]);
+    const rows = decoded.rows.map(row => {
+        const values = indexes.map(i => row[i] ?? null);
+        return { values, text: values.map((value, i) => formatValue(value, columns[i])) };
+    });
+    return { columns, rows };
+}
+
+/**
+ * Compares two decoded results.
+ *
+ * Only the columns returned on both sides are compared; the others are listed in
+ * `onlyLeft` and `onlyRight`. With key columns, each key must identify a single row
+ * on each side.
+ *
+ * @param {{columns: object[], rows: Array[]}} left - The decoded result of the left target (the reference).
+ * @param {{columns: object[], rows: Array[]}} right - The decoded result of the right target.
+ * @param {object} [options]
+ * @param {string[]} [options.key=[]] - The columns identifying a row. Without them, whole rows are compared.
+ * @returns {object} The differences: `names` and `columns` (the compared columns), `key`, `onlyLeft` and
+ * `onlyRight` (the column names found on one side only), `rows` (the added, removed and changed rows, in
+ * the order of the left result followed by the added rows, as `{change, left?, right?, cells?}` where
+ * `cells` are the indexes of the changed cells) and `summary` (the count of each kind of change).
+ * @throws {Error} When a key column is missing or a key is not unique.
+ */
+export function diffResults(left, right, { key = [] } = {}) {
+    const leftNames = left.columns.map(col => col.name);
+    const rightNames = right.columns.map(col => col.name);
+    const names = leftNames.filter((name, i) => rightNames.includes(name) && leftNames.indexOf(name) === i);
+
+    for (const name of key) {
+        if (!names.includes(name)) {
+            throw new Error(`The key column ${name} is not part of the results of both queries.`);
+        }
+    }
+
+    const sides = { left: project(left, names), right: project(right, names) };
+    const keyIndexes = key.map(name => names.indexOf(name));
+    const rowId = key.length > 0
+        ? row => JSON.stringify(keyIndexes.map(i => row.text[i]))
+        : row => createHash('sha256').update(JSON.stringify(row.text)).digest('hex');
+
+    // Right rows by id; without key columns identical rows share an id, so each one can only be matched once
+    const unmatched = new Map();
+    for (const row of sides.right.rows) {
+        const id = rowId(row);
+        if (key.length > 0 && unmatched.has(id)) {
+            throw new Error(`The key (${key.join(', ')}) is not unique: ${id} appears more than once in the right results.`);
+        }
+        unmatched.set(id, [...(unmatched.get(id) ?? []), row]);
+    }
+
+    const rows = [];
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    const seen = new Set();
+    for (const row of sides.left.rows) {
+        const id = rowId(row);
+        if (key.length > 0) {
+            if (seen.has(id)) {
+                throw new Error(`The key (${key.join(', ')}) is not unique: ${id} appears more than once in the left results.`);
+            }
+            seen.add(id);
+        }
+
+        const match = unmatched.get(id)?.shift();
+        if (!match) {
+            rows.push({ change: 'removed', left: row });
+            summary.removed++;
+            continue;
+        }
+        const cells = names.map((name, i) => i).filter(i => row.text[i] !== match.text[i]);
+        if (cells.length > 0) {
+            rows.push({ change: 'changed', left: row, right: match, cells });
+            summary.changed++;
+        } else {
+            summary.unchanged++;
+        }
+    }
+    for (const row of [...unmatched.values()].flat()) {
+        rows.push({ change: 'added', right: row });
+        summary.added++;
+    }
+
+    return {
+        names,
+        columns: sides.left.columns,
+        key,
+        onlyLeft: leftNames.filter(name => !names.includes(name)),
+        onlyRight: rightNames.filter(name => !names.includes(name)),
+        rows,
+        summary
+    };
+}
+
+/**
+ * Formats the differences as a table: one line per added (`+`), removed (`-`) or
+ * changed (`~`) row, changed cells showing both values as `left → right`.
+ * @param {object} diff - The differences, as returned by diffResults.
+ * @param {object} [options]
+ * @param {{width?: number, vertical?: boolean|string}} [options.layout] - The layout options of renderTable.
+ * @param {boolean} [options.color=false] - Whether to highlight the changes with terminal colors.
+ * @returns {string} The table, or a message when there is no difference.
+ */
+export function formatDiffTable(diff, { layout = {}, color = false } = {}) {
+    if (diff.rows.length === 0) {
+        return 'No differences.';
+    }
+
+    const rows = diff.rows.map(({ change, left, right, cells }) => {
+        if (change !== 'changed') {
+            return [MARKERS[change], ...(left ?? right).text];
+        }
+        return [MARKERS.changed, ...left.text.map((text, i) => (cells.includes(i) ? `${text} → ${right.text[i]}` : text))];
+    });
+
+    // Cell indexes are shifted by the marker column
+    const style = (text, r, i) => {
+        const { change, cells } = diff.rows[r];
+        const highlighted = i === 0 || change !== 'changed' || cells.includes(i - 1);
+        return highlighted ? `${COLORS[change]}${text}${RESET}` : text;
+    };
+
+    return renderTable({
+        names: ['', ...diff.names],
+        rows,
+        align: ['left', ...diff.columns.map(col => (isNumericType(col.typeName) ? 'right' : 'left'))],
+        style: color ? style : undefined
+    }, layout);
+}
+
+/**
+ * Formats the differences as a JSON document. Changed rows are listed with their key
+ * (when rows are matched by key columns) and the left and right values of the cells
+ * that differ.
+ * @param {object} diff - The differences, as returned by diffResults.
+ * @param {{left: string, right: string}} targets - The names of the compared targets.
+ * @returns {string} The JSON document.
+ */
+export function formatDiffJson(diff, { left, right }) {
+    const toObject = (values, indexes = values.map((value, i) => i)) =>
+        Object.fromEntries(indexes.map(i => [diff.names[i], toJsonValue(values[i])]));
+    const ofChange = change => diff.rows.filter(row => row.change === change);
+    const keyIndexes = diff.key.map(name => diff.names.indexOf(name));
+
+    return JSON.stringify({
+        left,
+        right,
+        key: diff.key,
+        summary: diff.summary,
+        columns: { compared: diff.names, onlyLeft: diff.onlyLeft, onlyRight: diff.onlyRight },
+        added: ofChange('added').map(row => toObject(row.right.values)),
+        removed: ofChange('removed').map(row => toObject(row.left.values)),
+        changed: ofChange('changed').map(row => ({
+            key: toObject(row.left.values, keyIndexes),
+            changes: Object.fromEntries(row.cells.map(i => [
+                diff.names[i],
+                { left: toJsonValue(row.left.values[i]), right: toJsonValue(row.right.values[i]) }
+            ]))
+        }))
+    }, null, 2);
+}
+
+/**
+ * Summarizes the differences in one line, e.g.
+ * "🔀 staging → prod: 1 added, 2 removed, 3 changed, 40 unchanged."
+ * @param {object} diff - The differences, as returned by diffResults.
+ * @param {{left: string, right: string}} targets - The names of the compared targets.
+ * @returns {string} The summary, followed by a warning when some columns are only on one side.
+ */
+export function describeDiff(diff, { left, right }) {
+    const { added, removed, changed, unchanged } = diff.summary;
+    const lines = [`🔀 ${left} → ${right}: ${added} added, ${removed} removed, ${changed} changed, ${unchanged} unchanged.`];
+    if (diff.onlyLeft.length > 0 || diff.onlyRight.length > 0) {
+        const only = [[left, diff.onlyLeft], [right, diff.onlyRight]]
+            .filter(([, names]) => names.length > 0)
+            .map(([name, names]) => `only in ${name}: ${names.join(', ')}`);
+        lines.push(`⚠️  Columns not compared (${only.join('; ')}).`);
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Checks that the statement of both targets only reads data: comparing the results of a write
+ * run on two clusters is never what was meant.
+ * @param {{name: string, args: string[], engine?: string}[]} sides - The left and right targets, with the
+ * engine whose quoting rules apply to the SQL, when known.
+ * @throws {GuardError} When a statement is not a read.
+ */
+export function refuseDiffWrites(sides) {
+    for (const side of sides) {
+        if (classifySql(getArgValue(side.args, '--sql') ?? '', { engine: side.engine }).kind !== 'read') {
+            throw new GuardError('The diff command only compares queries that read data.');
+        }
+    }
+}
+
+/**
+ * Runs a query on two targets and writes their differences.
+ * @param {{name: string, execute: function(string[]): Promise<object>, args: string[]}[]} sides - The left
+ * and right targets: their name, their statement runner and the AWS CLI arguments of the query (see
+ * refuseDiffWrites for the optional engine).
+ * @param {object} [options]
+ * @param {string[]} [options.key=[]] - The columns identifying a row.
+ * @param {string} [options.format='table'] - One of DIFF_FORMATS.
+ * @param {{width?: number, vertical?: boolean|string}} [options.layout] - The layout of the table format.
+ * @param {boolean} [options.color=false] - Whether to highlight the changes with terminal colors.
+ * @param {function(string): void} [options.write] - Where the output is written (defaults to stdout).
+ * @param {function(string): void} [options.status] - Where the summary is written (defaults to stderr).
+ * @returns {Promise<object>} The differences, as returned by diffResults.
+ * @throws {GuardError} When the query does not only read data (see refuseDiffWrites).
+ */
+export async function runDiff(sides, {
+    key = [],
+    format = 'table',
+    layout,
+    color = false,
+    write = text => process.stdout.write(text),
+    status = text => console.error(text)
+} = {}) {
+    if (!DIFF_FORMATS.includes(format)) {
+        throw new Error(`The diff command supports the ${DIFF_FORMATS.join(' and ')} formats, not "${format}".`);
+    }
+    refuseDiffWrites(sides);
+
+    // Both targets are queried at the same time
+    const outputs = await Promise.all(sides.map(side => side.execute(side.args)));
+    outputs.forEach((output, i) => {
+        if (!output.results) {
+            throw new Error(`The diff command needs a query returning rows, but the statement returned none on ${sides[i].name}.`);
+        }
+    });
+
+    const targets = { left: sides[0].name, right: sides[1].name };
+    const diff = diffResults(decodeResult(outputs[0].results), decodeResult(outputs[1].results), { key });
+    if (format === 'json') {
+        write(`${formatDiffJson(diff, targets)}\n`);
+        status(describeDiff(diff, targets));
+    } else {
+        status(`\n${describeDiff(diff, targets)}\n`);
+        write(`${formatDiffTable(diff, { layout, color })}\n`);
+    }
+    return diff;
+}
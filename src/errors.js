@@ -0,0 +1,162 @@
+/**
+ * Classification of AWS CLI failures.
+ *
+ * When an `aws rds-data` command fails, the CLI exits with a non-zero code and prints
+ * something like "An error occurred (BadRequestException) when calling the
+ * ExecuteStatement operation: ERROR: syntax error at or near ..." on stderr. The
+ * error code and details are picked out of that text to build an AwsCliError with a
+ * concise message, a distinct process exit code and whether the call may be retried.
+ */
+
+/**
+ * Process exit codes, one per class of failure, so that scripts can tell them apart.
+ * @type {Object<string, number>}
+ */
+export const EXIT_CODES = {
+    ERROR: 1,
+    SQL_ERROR: 2,
+    ACCESS_DENIED: 3,
+    CREDENTIALS: 4,
+    DATABASE_RESUMING: 5,
+    STATEMENT_TIMEOUT: 6,
+    THROTTLED: 7,
+    REFUSED: 8,
+    CLI_NOT_FOUND: 127
+};
+
+/**
+ * A classified AWS CLI failure.
+ * - `code`: the AWS error code (e.g. "BadRequestException"), or "CliNotFound" / "NoCredentials"
+ * - `detail`: the error text returned by AWS (for BadRequestException, the database error)
+ * - `exitCode`: the process exit code to use (see EXIT_CODES)
+ * - `retryable`: whether the same call may succeed if repeated later
+ * - `stderr`: the complete stderr output of the AWS CLI
+ */
+export class AwsCliError extends Error {
+    /**
+     * @param {string} message - The message shown to the user.
+     * @param {object} details
+     * @param {string} details.code - The error code.
+     * @param {string} [details.detail=''] - The error text returned by AWS.
+     * @param {number} [details.exitCode=EXIT_CODES.ERROR] - The process exit code.
+     * @param {boolean} [details.retryable=false] - Whether the call may be retried.
+     * @param {string} [details.stderr=''] - The stderr output of the AWS CLI.
+     */
+    constructor(message, { code, detail = '', exitCode = EXIT_CODES.ERROR, retryable = false, stderr = '' }) {
+        super(message);
+        this.name = 'AwsCliError';
+        this.code = code;
+        this.detail = detail;
+        this.exitCode = exitCode;
+        this.retryable = retryable;
+        this.stderr = stderr;
+    }
+}
+
+// Known failures, in the order they are tried against stderr. Aurora Serverless v1 reports
+// a paused cluster as a BadRequestException "Communications link failure", so resuming
+// must be recognised before generic bad requests.
+const ERROR_TYPES = [
+    {
+        code: 'DatabaseResumingException',
+        match: /DatabaseResumingException|Communications link failure/,
+        exitCode: EXIT_CODES.DATABASE_RESUMING,
+        retryable: true,
+        message: () => 'The database is resuming after being paused and is not available yet. Try again in a minute.'
+    },
+    {
+        code: 'ThrottlingException',
+        match: /ThrottlingException|TooManyRequestsException|Rate exceeded/,
+        exitCode: EXIT_CODES.THROTTLED,
+        retryable: true,
+        message: detail => `The request was throttled by AWS (${detail}). Try again later.`
+    },
+    {
+        code: 'StatementTimeoutException',
+        match: /StatementTimeoutException/,
+        exitCode: EXIT_CODES.STATEMENT_TIMEOUT,
+        message: () => 'The statement did not finish within the Data API timeout (45 seconds) and was cancelled. '
+            + 'Make it faster, fetch large results with --paginate, or add --continue-after-timeout for DDL.'
+    },
+    {
+        code: 'ExpiredTokenException',
+        match: /ExpiredToken|Token has expired|security token included in the request is expired/i,
+        exitCode: EXIT_CODES.CREDENTIALS,
+        message: () => 'Your AWS credentials have expired. Refresh them (e.g. "aws sso login") and try again.'
+    },
+    {
+        code: 'NoCredentials',
+        match: /Unable to locate credentials|UnrecognizedClientException|InvalidSignatureException/,
+        exitCode: EXIT_CODES.CREDENTIALS,
+        message: () => 'No valid AWS credentials were found. Configure them (e.g. "aws configure" or --profile) and try again.'
+    },
+    {
+        code: 'AccessDeniedException',
+        match: /AccessDenied|ForbiddenException|not authorized to perform/,
+        exitCode: EXIT_CODES.ACCESS_DENIED,
+        message: detail => `Access denied: ${detail}\nCheck that your IAM identity may call rds-data:ExecuteStatement on the cluster `
+            + 'and secretsmanager:GetSecretValue on the secret.'
+    },
+    {
+        code: 'BadRequestException',
+        match: /response size limit/,
+        exitCode: EXIT_CODES.SQL_ERROR,
+        message: () => 'The result is larger than the 1 MB the Data API can return. Fetch it page by page with --paginate.'
+    },
+    {
+        code: 'BadRequestException',
+        match: /BadRequestException/,
+        exitCode: EXIT_CODES.SQL_ERROR,
+        // Postgres errors start with "ERROR:", MySQL errors with "Database error code: N. Message:"
+        message: detail => `SQL error: ${detail.replace(/^ERROR:\s*/, '')}`
+    }
+];
+
+/**
+ * Extracts the error text from AWS CLI stderr output, i.e. what follows
+ * "An error occurred (Code) when calling the Operation operation: ".
+ * @param {string} stderr - The stderr output.
+ * @returns {string} The error text on a single line.
+ */
+function errorDetail(stderr) {
+    const match = /An error occurred \([^)]*\)(?: when calling the \w+ operation)?(?: \(reached max retries: \d+\))?:\s*([\s\S]*)/.exec(stderr);
+    return (match ? match[1] : stderr).trim().replace(/\s*\n\s*/g, '; ');
+}
+
+/**
+ * Turns the stderr output of a failed AWS CLI command into an error.
+ * Unrecognised failures keep the generic "Error executing the command" message with the raw stderr.
+ * @param {string} stderr - The stderr output.
+ * @param {number} code - The exit code of the AWS CLI.
+ * @returns {Error} An AwsCliError for known failures, a plain Error otherwise.
+ */
+export function classifyAwsError(stderr, code) {
+    const type = ERROR_TYPES.find(({ match }) => match.test(stderr));
+    if (!type) {
+        return new Error(`Error executing the command (code ${code}):\n${stderr}`);
+    }
+    const detail = errorDetail(stderr);
+    return new AwsCliError(type.message(detail), {
+        code: type.code,
+        detail,
+        exitCode: type.exitCode,
+        retryable: Boolean(type.retryable),
+        stderr
+    });
+}
+
+/**
+ * Turns a failure to start the AWS CLI process into an error.
+ * @param {Error} error - The error emitted by the child process.
+ * @returns {Error} An AwsCliError when the `aws` executable is missing, a plain Error otherwise.
+ */
+export function classifySpawnError(error) {
+    if (error.code === 'ENOENT') {
+        return new AwsCliError('The AWS CLI ("aws") was not found. Install it and make sure it is on your PATH.', {
+            code: 'CliNotFound',
+            detail: error.message,
+            exitCode: EXIT_CODES.CLI_NOT_FOUND
+        });
+    }
+    return new Error(`Failed to start subprocess: ${error.message}`);
+}
@@ -0,0 +1,66 @@
+/**
+ * Database engine detection and EXPLAIN support.
+ *
+ * The Data API fronts both Aurora PostgreSQL and Aurora MySQL, whose EXPLAIN
+ * syntax and output differ, so the engine is detected (or taken from --engine /
+ * the target's `engine`) before wrapping a query.
+ */
+
+import { decodeResult, formatValue } from './decode.js';
+
+/**
+ * Supported database engines.
+ * @type {string[]}
+ */
+export const ENGINES = ['postgres', 'mysql'];
+
+/**
+ * Detects the engine of the cluster by asking for its version.
+ * Both engines implement `SELECT version()`: Postgres answers "PostgreSQL 15.4 ...",
+ * Aurora MySQL something like "8.0.mysql_aurora.3.05.2".
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} connectionArgs - The connection arguments (without --sql).
+ * @returns {Promise<string>} "postgres" or "mysql".
+ */
+export async function detectEngine(execute, connectionArgs) {
+    const output = await execute([...connectionArgs, '--sql', 'SELECT version()']);
+    const version = String(output.results?.records?.[0]?.[0]?.stringValue ?? '');
+    return /postgres/i.test(version) ? 'postgres' : 'mysql';
+}
+
+/**
+ * Wraps a query in the EXPLAIN statement of the given engine.
+ * - Postgres: `EXPLAIN` or `EXPLAIN (ANALYZE, BUFFERS)`, text format
+ * - MySQL: `EXPLAIN FORMAT=TREE` or `EXPLAIN ANALYZE` (tree format, MySQL 8.0.18+)
+ * With `analyze` the statement is really executed, including its side effects.
+ * @param {string} engine - "postgres" or "mysql".
+ * @param {string} sql - The query to explain.
+ * @param {object} [options]
+ * @param {boolean} [options.analyze=false] - Whether to run the query and report actual timings.
+ * @returns {string} The EXPLAIN statement.
+ */
+export function buildExplainSql(engine, sql, { analyze = false } = {}) {
+    const query = sql.trim().replace(/;\s*$/, '');
+    if (engine === 'postgres') {
+        return `${analyze ? 'EXPLAIN (ANALYZE, BUFFERS)' : 'EXPLAIN'} ${query}`;
+    }
+    if (engine === 'mysql') {
+        return `${analyze ? 'EXPLAIN ANALYZE' : 'EXPLAIN FORMAT=TREE'} ${query}`;
+    }
+    throw new Error(`Unknown engine "${engine}". Supported engines: ${ENGINES.join(', ')}.`);
+}
+
+/**
+ * Renders the result of an EXPLAIN statement as plain text.
+ * Postgres returns one plan line per row in a single "QUERY PLAN" column and MySQL
+ * returns the whole tree in a single cell, so the cells are simply joined line by line.
+ * @param {object} results - The `results` of the EXPLAIN statement output.
+ * @returns {string} The plan, one node per line.
+ */
+export function formatPlan(results) {
+    const { columns, rows } = decodeResult(results);
+    return rows
+        .map(row => row.map((value, i) => formatValue(value, columns[i], { nullText: '' })).join(' '))
+        .join('\n')
+        .replace(/\s+$/, '');
+}
@@ -0,0 +1,278 @@
+/**
+ * Output formatters for query results.
+ *
+ * Every formatter receives the decoded result (`{columns, rows}` as produced by
+ * decodeResult) and returns the complete output as a string, so the caller decides
+ * where to write it.
+ */
+
+import { formatValue, isNumericType } from './decode.js';
+import { renderTable } from './layout.js';
+import { formatInserts } from './inserts.js';
+
+/**
+ * Names of the supported output formats, in the order they are documented.
+ * @type {string[]}
+ */
+export const FORMATS = ['table', 'json', 'ndjson', 'csv', 'tsv', 'markdown', 'sql'];
+
+/**
+ * Returns the column names of a decoded result, falling back to positional names
+ * ("column1", "column2", ...) when the Data API did not return any metadata.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string[]} The column names.
+ */
+function columnNamesOf({ columns, rows }) {
+    if (columns.length > 0) {
+        return columns.map((col, i) => col.name ?? col.label ?? `column${i + 1}`);
+    }
+    const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+    return Array.from({ length: width }, (_, i) => `column${i + 1}`);
+}
+
+/**
+ * Converts a decoded value into something JSON.stringify renders faithfully:
+ * Buffers become base64 strings and BigInts become strings. Dates are left to
+ * their own toJSON (ISO 8601).
+ * @param {*} value - The decoded value.
+ * @returns {*} A JSON-safe value.
+ */
+export function toJsonValue(value) {
+    if (Buffer.isBuffer(value)) {
+        return value.toString('base64');
+    }
+    if (typeof value === 'bigint') {
+        return value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJsonValue);
+    }
+    return value;
+}
+
+/**
+ * Builds one plain object per row, keyed by column name.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {object[]} The row objects with JSON-safe values.
+ */
+function toJsonObjects(decoded) {
+    const names = columnNamesOf(decoded);
+    return decoded.rows.map(row =>
+        Object.fromEntries(names.map((name, i) => [name, toJsonValue(row[i] ?? null)]))
+    );
+}
+
+/**
+ * Formats the result as the `•`-prefixed pipe table historically printed by the tool.
+ * Numeric columns are right-aligned; with a terminal width, wide rows are truncated
+ * or shown vertically (see renderTable).
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @param {{width?: number, vertical?: boolean|string, style?: function}} [layout] - The layout options of
+ * renderTable, and the `style` decorating the cells (see renderTable).
+ * @returns {string} The table.
+ */
+export function formatTable(decoded, { style, ...layout } = {}) {
+    const { columns } = decoded;
+    return renderTable({
+        names: columns.map(col => String(col.name ?? '')),
+        rows: decoded.rows.map(row => row.map((value, i) => formatValue(value, columns[i]))),
+        align: columns.map(col => (isNumericType(col.typeName) ? 'right' : 'left')),
+        style
+    }, layout);
+}
+
+/**
+ * Formats the result as a pretty-printed JSON array of row objects.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string} The JSON document.
+ */
+export function formatJson(decoded) {
+    return JSON.stringify(toJsonObjects(decoded), null, 2);
+}
+
+/**
+ * Formats the result as newline-delimited JSON, one compact object per row.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string} The NDJSON lines.
+ */
+export function formatNdjson(decoded) {
+    return toJsonObjects(decoded).map(row => JSON.stringify(row)).join('\n');
+}
+
+/**
+ * Quotes a CSV field when needed (RFC 4180): fields containing the delimiter,
+ * double quotes, line breaks or surrounding whitespace are enclosed in double
+ * quotes, with embedded quotes doubled.
+ * @param {string} text - The field text.
+ * @returns {string} The escaped field.
+ */
+export function escapeCsv(text) {
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+/**
+ * Escapes a TSV field: backslashes, tabs and line breaks are written as
+ * `\\`, `\t`, `\n` and `\r` so every record stays on one line.
+ * @param {string} text - The field text.
+ * @returns {string} The escaped field.
+ */
+export function escapeTsv(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\t/g, '\\t')
+        .replace(/\n/g, '\\n')
+        .replace(/\r/g, '\\r');
+}
+
+/**
+ * Escapes a Markdown table cell: pipes are backslash-escaped and line breaks
+ * become `<br>` so they do not end the table row.
+ * @param {string} text - The cell text.
+ * @returns {string} The escaped cell.
+ */
+export function escapeMarkdown(text) {
+    return text
+        .replace(/\\/g, '\\\\')
+        .replace(/\|/g, '\\|')
+        .replace(/\r?\n/g, '<br>');
+}
+
+/**
+ * Formats the result as delimiter-separated values with a header line.
+ * SQL NULL is written as an empty field.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @param {string} delimiter - The field delimiter.
+ * @param {function(string): string} escape - The field escaping function.
+ * @returns {string} The delimited text.
+ */
+function formatDelimited(decoded, delimiter, escape) {
+    const { columns } = decoded;
+    const lines = [columnNamesOf(decoded).map(escape).join(delimiter)];
+    decoded.rows.forEach(row => {
+        lines.push(row.map((value, i) => escape(formatValue(value, columns[i], { nullText: '' }))).join(delimiter));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Formats the result as CSV.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string} The CSV text.
+ */
+export function formatCsv(decoded) {
+    return formatDelimited(decoded, ',', escapeCsv);
+}
+
+/**
+ * Formats the result as TSV.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string} The TSV text.
+ */
+export function formatTsv(decoded) {
+    return formatDelimited(decoded, '\t', escapeTsv);
+}
+
+/**
+ * Formats the result as a GitHub-flavoured Markdown table.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @returns {string} The Markdown table.
+ */
+export function formatMarkdown(decoded) {
+    const { columns } = decoded;
+    const names = columnNamesOf(decoded);
+    const lines = [
+        `| ${names.map(escapeMarkdown).join(' | ')} |`,
+        `| ${names.map(() => '---').join(' | ')} |`
+    ];
+    decoded.rows.forEach(row => {
+        lines.push(`| ${names.map((_, i) => escapeMarkdown(formatValue(row[i], columns[i]))).join(' | ')} |`);
+    });
+    return lines.join('\n');
+}
+
+// Formatter functions indexed by format name
+const FORMATTERS = {
+    table: formatTable,
+    json: formatJson,
+    ndjson: formatNdjson,
+    csv: formatCsv,
+    tsv: formatTsv,
+    markdown: formatMarkdown,
+    sql: formatInserts
+};
+
+/**
+ * Formats a decoded result in the requested output format.
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @param {string} [format='table'] - One of FORMATS.
+ * @param {object} [options] - The options of the format: the layout of the table format (see formatTable),
+ * the table and upsert settings of the sql format (see formatInserts).
+ * @returns {string} The formatted output.
+ */
+export function formatResults(decoded, format = 'table', options = {}) {
+    const formatter = FORMATTERS[format];
+    if (!formatter) {
+        throw new Error(`Unknown output format "${format}". Supported formats: ${FORMATS.join(', ')}.`);
+    }
+    return formatter(decoded, options);
+}
+
+/**
+ * Creates a formatter for results that arrive in pages, so that a large result set
+ * can be written as it is fetched instead of being buffered whole.
+ * Concatenating the chunks returned by `page` and `end` gives the same output as
+ * formatting all the rows at once, except for the table format, where every page is
+ * rendered as a table of its own, and the sql format, whose batches do not span pages.
+ *
+ * @param {string} [format='table'] - One of FORMATS.
+ * @param {object} [options] - The options of the format (see formatResults).
+ * @returns {{page: function({columns: object[], rows: Array[]}): string, end: function(): string}}
+ * `page` formats the next page, `end` returns whatever closes the output (e.g. the JSON closing bracket).
+ * Each chunk ends with a newline unless it is empty.
+ */
+export function createStreamFormatter(format = 'table', options = {}) {
+    if (!FORMATTERS[format]) {
+        throw new Error(`Unknown output format "${format}". Supported formats: ${FORMATS.join(', ')}.`);
+    }
+
+    // Number of header lines the delimited and Markdown formats emit before the rows
+    const HEADER_LINES = { csv: 1, tsv: 1, markdown: 2 };
+    let pages = 0;
+    let jsonRows = 0;
+
+    return {
+        page(decoded) {
+            pages++;
+            if (format === 'json') {
+                // Same layout as formatJson: each object indented inside the array
+                const objects = toJsonObjects(decoded).map(row => JSON.stringify(row, null, 2).replace(/^/gm, '  '));
+                const prefix = jsonRows === 0 ? '[\n' : ',\n';
+                jsonRows += objects.length;
+                return objects.length > 0 ? `${prefix}${objects.join(',\n')}` : '';
+            }
+            if (format === 'ndjson') {
+                return decoded.rows.length > 0 ? `${formatNdjson(decoded)}\n` : '';
+            }
+            if (format === 'table') {
+                return decoded.rows.length > 0 || pages === 1 ? `${formatTable(decoded, options)}\n` : '';
+            }
+            if (format === 'sql') {
+                // Batches do not span pages
+                return decoded.rows.length > 0 ? `${formatInserts(decoded, options)}\n` : '';
+            }
+            // Delimited and Markdown formats: the header is only written with the first page
+            const lines = formatResults(decoded, format).split('\n');
+            const body = pages === 1 ? lines : lines.slice(HEADER_LINES[format]);
+            return body.length > 0 ? `${body.join('\n')}\n` : '';
+        },
+        end() {
+            if (format === 'json') {
+                return jsonRows === 0 ? '[]\n' : '\n]\n';
+            }
+            return '';
+        }
+    };
+}
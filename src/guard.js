@@ -0,0 +1,261 @@
+/**
+ * Safety guard in front of statement execution.
+ *
+ * Statements are classified from their leading keyword (read, write, DDL or session
+ * control), looking behind EXPLAIN ANALYZE and into WITH queries, so that read-only
+ * mode can refuse anything that changes data, and the statements that are most often
+ * run by mistake (DROP, TRUNCATE, DELETE or UPDATE without WHERE) need a confirmation
+ * or --yes. With --dry-run, the AWS CLI commands
+ * are printed instead of being run.
+ */
+
+import readline from 'readline';
+import { EventEmitter } from 'events';
+import { EXIT_CODES } from './errors.js';
+import { getArgValue } from './options.js';
+import { tokenizeSql, splitStatements, hasSqlContent, previewStatement } from './sql.js';
+
+// Leading keywords of the statements that only read data
+const READ_KEYWORDS = new Set(['select', 'with', 'show', 'explain', 'describe', 'desc', 'values', 'table']);
+// Leading keywords of transaction and session control statements
+const SESSION_KEYWORDS = new Set(['set', 'reset', 'begin', 'start', 'commit', 'end', 'rollback', 'savepoint', 'release', 'use', 'discard']);
+// Leading keywords of schema changes
+const DDL_KEYWORDS = new Set(['create', 'alter', 'drop', 'truncate', 'rename', 'grant', 'revoke', 'comment', 'reindex', 'vacuum', 'cluster']);
+// Verbs of the statements that change data
+const WRITE_VERBS = new Set(['insert', 'update', 'delete', 'merge']);
+// Verbs a statement may start with once EXPLAIN and WITH are skipped
+const STATEMENT_VERBS = new Set(['select', 'values', 'table', 'replace', ...WRITE_VERBS]);
+// Words before UPDATE when it is a clause and not a statement: SELECT ... FOR [NO KEY] UPDATE,
+// ON CONFLICT ... DO UPDATE, MySQL ON DUPLICATE KEY UPDATE and MERGE ... WHEN MATCHED THEN UPDATE
+const CLAUSE_PREFIXES = new Set(['for', 'key', 'do', 'then']);
+
+/**
+ * A statement refused by the guard. The tool exits with EXIT_CODES.REFUSED.
+ */
+export class GuardError extends Error {
+    /**
+     * @param {string} message - The message shown to the user.
+     */
+    constructor(message) {
+        super(message);
+        this.name = 'GuardError';
+        this.exitCode = EXIT_CODES.REFUSED;
+    }
+}
+
+/**
+ * Splits the code of a statement into words, each with the parenthesised group it
+ * belongs to: 0 for the top level, a distinct number for every pair of parentheses.
+ * @param {string} code - The lowercased statement, without literals and comments.
+ * @returns {Array<{word: string, group: number}>} The words, in order.
+ */
+function wordsOf(code) {
+    const words = [];
+    const groups = [0];
+    let nextGroup = 1;
+    for (const [token] of code.matchAll(/[a-z_][a-z0-9_$]*|[()]/g)) {
+        if (token === '(') {
+            groups.push(nextGroup++);
+        } else if (token === ')') {
+            if (groups.length > 1) {
+                groups.pop();
+            }
+        } else {
+            words.push({ word: token, group: groups[groups.length - 1] });
+        }
+    }
+    return words;
+}
+
+/**
+ * Classifies a single SQL statement. String literals, quoted identifiers and comments
+ * are ignored, so keywords inside them do not count. Unknown statements are treated
+ * as writes, to err on the safe side.
+ *
+ * The statement behind EXPLAIN ANALYZE (which runs it) and the data-modifying statements
+ * of WITH queries are checked too. A DELETE or UPDATE only counts as having a WHERE
+ * when the WHERE is its own, not the one of a subquery.
+ *
+ * @param {string} sql - The statement.
+ * @param {object} [options] - The options of tokenizeSql (the engine).
+ * @returns {{kind: string, destructive: string|null}} `kind` is "read", "write", "ddl" or "session";
+ * `destructive` names why the statement needs a confirmation (e.g. "DELETE without WHERE"), or is null.
+ */
+export function classifySql(sql, options) {
+    const code = tokenizeSql(sql, options)
+        .map(segment => (segment.type === 'code' ? segment.text : segment.type === 'comment' ? ' ' : ' _ '))
+        .join('')
+        .toLowerCase();
+    let words = wordsOf(code);
+    const keyword = words[0]?.word ?? '';
+
+    if (keyword === 'explain') {
+        // The statement starts at its first top-level verb; the words before it are the EXPLAIN options
+        const start = words.findIndex((w, i) => i > 0 && w.group === 0 && (STATEMENT_VERBS.has(w.word) || w.word === 'with'));
+        const options = words.slice(1, start === -1 ? words.length : start);
+        if (!options.some(w => w.word === 'analyze')) {
+            return { kind: 'read', destructive: null };
+        }
+        words = start === -1 ? [] : words.slice(start);
+    }
+
+    // The data-modifying statements, wherever they are (e.g. in the CTEs of a WITH query)
+    const writes = words.filter((w, i) => WRITE_VERBS.has(w.word) && !CLAUSE_PREFIXES.has(words[i - 1]?.word));
+    const [verb = keyword] = words.filter(w => w.group === 0 && STATEMENT_VERBS.has(w.word)).map(w => w.word);
+
+    let kind = 'write';
+    if (READ_KEYWORDS.has(keyword)) {
+        // SELECT ... INTO new_table creates a table
+        const selectInto = verb === 'select' && words.some(w => w.group === 0 && w.word === 'into');
+        kind = writes.length > 0 || selectInto ? 'write' : 'read';
+    } else if (SESSION_KEYWORDS.has(keyword)) {
+        kind = 'session';
+    } else if (DDL_KEYWORDS.has(keyword)) {
+        kind = 'ddl';
+    }
+
+    let destructive = null;
+    if (keyword === 'drop' || keyword === 'truncate') {
+        destructive = keyword.toUpperCase();
+    } else if (kind === 'write') {
+        const unfiltered = writes.find(w => (w.word === 'delete' || w.word === 'update')
+            && !words.some((other, i) => i > words.indexOf(w) && other.group === w.group && other.word === 'where'));
+        destructive = unfiltered ? `${unfiltered.word.toUpperCase()} without WHERE` : null;
+    }
+    return { kind, destructive };
+}
+
+/**
+ * Checks statements against the guard policy before any of them is run.
+ *
+ * @param {string[]} statements - The statements about to be run.
+ * @param {object} [policy]
+ * @param {boolean} [policy.readOnly=false] - Refuse every statement that is not a read or session statement.
+ * @param {boolean} [policy.yes=false] - Run destructive statements without asking.
+ * @param {function(string): Promise<boolean>} [policy.confirm] - Asks the user a yes/no question;
+ * without it, destructive statements are refused unless `yes` is set.
+ * @param {string} [policy.engine] - The engine of the cluster, whose quoting rules apply (see tokenizeSql).
+ * @returns {Promise<void>}
+ * @throws {GuardError} When a statement is refused.
+ */
+export async function guardStatements(statements, { readOnly = false, yes = false, confirm, engine } = {}) {
+    const classified = statements.map(sql => ({ sql, ...classifySql(sql, { engine }) }));
+
+    if (readOnly) {
+        const refused = classified.find(({ kind }) => kind === 'write' || kind === 'ddl');
+        if (refused) {
+            throw new GuardError(`Read-only mode: refusing to run ${refused.kind === 'ddl' ? 'a DDL' : 'a write'} statement: ${previewStatement(refused.sql)}`);
+        }
+    }
+
+    const destructive = classified.filter(({ destructive }) => destructive);
+    if (destructive.length === 0 || yes) {
+        return;
+    }
+    const list = destructive.map(({ sql, destructive }) => `  ${destructive}: ${previewStatement(sql)}`).join('\n');
+    if (!confirm) {
+        throw new GuardError(`Refusing to run destructive statement(s) without confirmation:\n${list}\nAdd --yes to run them.`);
+    }
+    if (!await confirm(`⚠️  About to run destructive statement(s):\n${list}\nType "yes" to continue: `)) {
+        throw new GuardError('Cancelled: nothing was executed.');
+    }
+}
+
+/**
+ * Wraps a statement runner so that every statement goes through guardStatements first.
+ * The returned function accepts per-call settings (e.g. from the interactive session,
+ * whose target may change): `confirm` and `engine` replace the policy ones and `readOnly` adds to it.
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {object} policy - The guard policy (see guardStatements).
+ * @returns {function(string[], {confirm?: function, readOnly?: boolean, engine?: string}=): Promise<object>} The
+ * guarded runner.
+ */
+export function guardExecute(execute, policy) {
+    return async (args, { confirm = policy.confirm, readOnly = false, engine = policy.engine } = {}) => {
+        const sql = getArgValue(args, '--sql') ?? '';
+        const { statements, remainder } = splitStatements(sql, { engine });
+        if (hasSqlContent(remainder, { engine })) {
+            statements.push(remainder);
+        }
+        await guardStatements(statements, { ...policy, confirm, engine, readOnly: policy.readOnly || readOnly });
+        return execute(args);
+    };
+}
+
+/**
+ * Asks a yes/no question on the terminal (stdin must be a TTY).
+ * @param {string} question - The question.
+ * @returns {Promise<boolean>} True when the user answered "yes" (or "y").
+ */
+export async function confirmOnTerminal(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stderr });
+    const answer = await new Promise(resolve => rl.question(question, resolve));
+    rl.close();
+    return /^y(es)?$/i.test(answer.trim());
+}
+
+/**
+ * Quotes an argument for a POSIX shell when needed.
+ * @param {string} arg - The argument.
+ * @returns {string} The argument, single-quoted if it contains special characters.
+ */
+function shellQuote(arg) {
+    return /^[\w@%+=:,./-]+$/.test(arg) ? arg : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+/**
+ * Masks the name of a secret, keeping the rest of its ARN (region, account) readable.
+ * @param {string} secretArn - The secret ARN.
+ * @returns {string} The masked ARN.
+ */
+function maskSecretArn(secretArn) {
+    return secretArn.includes(':secret:') ? secretArn.replace(/(:secret:).*$/, '$1****') : '****';
+}
+
+/**
+ * Masks the name of the secret in AWS CLI arguments (`--secret-arn <arn>` or `--secret-arn=<arn>`).
+ * @param {string[]} cliArgs - The AWS CLI arguments.
+ * @returns {string[]} A copy of the arguments with the secret name masked.
+ */
+export function maskSecretArgs(cliArgs) {
+    return cliArgs.map((arg, i) => {
+        if (cliArgs[i - 1] === '--secret-arn') {
+            return maskSecretArn(arg);
+        }
+        return arg.startsWith('--secret-arn=') ? `--secret-arn=${maskSecretArn(arg.slice('--secret-arn='.length))}` : arg;
+    });
+}
+
+/**
+ * Formats an AWS CLI invocation as a shell command line, with the name of the secret
+ * masked so the output can be shared.
+ * @param {string[]} cliArgs - The AWS CLI arguments, e.g. ["rds-data", "execute-statement", ...].
+ * @returns {string} The command line.
+ */
+export function formatAwsCommand(cliArgs) {
+    return ['aws', ...maskSecretArgs(cliArgs)].map(shellQuote).join(' ');
+}
+
+/**
+ * Creates a spawn function that prints the AWS CLI commands instead of running them.
+ * The fake processes succeed without output, except begin-transaction which returns a
+ * placeholder id so scripts run in a transaction can be dry-run too.
+ * @param {function(string): void} [print=console.log] - Where the commands are written.
+ * @returns {function} A spawn function returning fake child processes.
+ */
+export function createDryRunSpawn(print = console.log) {
+    return (command, cliArgs) => {
+        print(formatAwsCommand(cliArgs));
+
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        setImmediate(() => {
+            if (cliArgs[1] === 'begin-transaction') {
+                child.stdout.emit('data', JSON.stringify({ transactionId: 'dry-run' }));
+            }
+            child.emit('close', 0);
+        });
+        return child;
+    };
+}
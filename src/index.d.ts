@@ -0,0 +1,182 @@
+// Type declarations of the Node API (see src/client.js).
+
+/** A column of a result, as reported by the Data API `columnMetadata`. */
+export interface ColumnMetadata {
+    name?: string;
+    label?: string;
+    typeName?: string;
+    type?: number;
+    nullable?: number;
+    precision?: number;
+    scale?: number;
+    [key: string]: unknown;
+}
+
+/**
+ * A decoded value: numbers, booleans and strings as is, BigInts for integers beyond
+ * Number.MAX_SAFE_INTEGER, Dates for temporal columns (UTC), Buffers for binary columns,
+ * parsed documents for JSON columns, arrays for array columns, null for SQL NULL.
+ */
+export type SqlValue =
+    | string
+    | number
+    | bigint
+    | boolean
+    | Date
+    | Buffer
+    | null
+    | SqlValue[]
+    | { [key: string]: unknown };
+
+/** A row, keyed by column name. */
+export type Row = Record<string, SqlValue>;
+
+/** A Data API SqlParameter. */
+export interface SqlParameter {
+    name: string;
+    value: Record<string, unknown>;
+    typeHint?: 'DATE' | 'TIME' | 'TIMESTAMP' | 'DECIMAL' | 'UUID' | 'JSON';
+}
+
+/** A parameter value: Dates are sent as UTC timestamps, bigints as decimals, objects as JSON. */
+export type ParamValue = string | number | bigint | boolean | Date | Uint8Array | null | undefined | object;
+
+/** Statement parameters by name, or a ready-made SqlParameter list. */
+export type Params = Record<string, ParamValue> | SqlParameter[];
+
+export interface ExecuteResult<R = Row> {
+    columns: ColumnMetadata[];
+    rows: R[];
+    numberOfRecordsUpdated: number;
+    generatedFields: SqlValue[];
+    elapsedMs: number;
+}
+
+export interface StreamOptions {
+    /** The number of rows per page (1000 by default). */
+    pageSize?: number;
+    /** A unique, sortable column to paginate on instead of OFFSET. */
+    keyset?: string;
+    /** Stop after this many rows. */
+    maxRows?: number;
+}
+
+export interface Statements {
+    query<R = Row>(sql: string, params?: Params): Promise<R[]>;
+    execute<R = Row>(sql: string, params?: Params): Promise<ExecuteResult<R>>;
+    stream<R = Row>(sql: string, params?: Params, options?: StreamOptions): AsyncGenerator<R, void, undefined>;
+}
+
+export interface Client extends Statements {
+    /** Runs `fn` in a transaction, committed when it resolves and rolled back when it rejects. */
+    transaction<T>(fn: (tx: Statements) => Promise<T>): Promise<T>;
+}
+
+export interface RetryOptions {
+    attempts?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    /** Called before each retry; the client is silent by default, the command line reports retries on stderr. */
+    onRetry?: (error: AwsCliError, attempt: { attempt: number; attempts: number; delayMs: number }) => void;
+    sleep?: (ms: number) => Promise<void>;
+}
+
+export interface ClientOptions {
+    resourceArn: string;
+    secretArn: string;
+    database?: string;
+    schema?: string;
+    profile?: string;
+    region?: string;
+    /** Refuse every statement that writes data or changes the schema. */
+    readOnly?: boolean;
+    /** Overrides of the retry settings; retries are not reported unless `retry.onRetry` is given. */
+    retry?: RetryOptions;
+    /** The function spawning the AWS CLI (child_process.spawn by default). */
+    spawn?: (...args: any[]) => any;
+}
+
+export function createClient(options: ClientOptions): Client;
+
+export type OutputFormat = 'table' | 'json' | 'ndjson' | 'csv' | 'tsv' | 'markdown' | 'sql';
+
+export const FORMATS: OutputFormat[];
+
+export interface TableOptions {
+    /** The maximum width of a line (no limit by default). */
+    width?: number;
+    /** true for one block per record, 'auto' to do so when the rows do not fit in the width. */
+    vertical?: boolean | 'auto';
+}
+
+export interface InsertOptions {
+    /** The table to insert into, written as given (e.g. "app.users"). */
+    table: string;
+    engine?: 'postgres' | 'mysql';
+    /** Makes the statements upserts on these key columns. */
+    upsert?: string[];
+    /** The number of rows per statement (1 by default). */
+    batchSize?: number;
+}
+
+export type FormatOptions = TableOptions | InsertOptions;
+
+/** Formats the result of `execute` (or any columns and object rows) as the command line would print it. */
+export function formatRows(result: { columns: ColumnMetadata[]; rows: Row[] }, format?: OutputFormat, options?: FormatOptions): string;
+
+/** Formats a decoded result, whose rows are arrays of values in column order. */
+export function formatResults(decoded: { columns: ColumnMetadata[]; rows: SqlValue[][] }, format?: OutputFormat, options?: FormatOptions): string;
+
+/** Decodes an execute-statement response (with `records` and `columnMetadata`). */
+export function decodeResult(result: { columnMetadata?: ColumnMetadata[]; records?: object[][] }): { columns: ColumnMetadata[]; rows: SqlValue[][] };
+
+/** Builds the Data API parameters from an object of JavaScript values. */
+export function toSqlParameters(values?: Params): SqlParameter[];
+
+export const EXIT_CODES: {
+    ERROR: 1;
+    SQL_ERROR: 2;
+    ACCESS_DENIED: 3;
+    CREDENTIALS: 4;
+    DATABASE_RESUMING: 5;
+    STATEMENT_TIMEOUT: 6;
+    THROTTLED: 7;
+    REFUSED: 8;
+    CLI_NOT_FOUND: 127;
+};
+
+/** A classified AWS CLI failure. */
+export class AwsCliError extends Error {
+    /** The AWS error code (e.g. "BadRequestException"), or "CliNotFound" / "NoCredentials". */
+    code: string;
+    /** The error text returned by AWS (for BadRequestException, the database error). */
+    detail: string;
+    exitCode: number;
+    retryable: boolean;
+    stderr: string;
+}
+
+/** A statement refused by the read-only mode. */
+export class GuardError extends Error {
+    exitCode: number;
+}
+
+/** Runs an execute-statement command with the AWS CLI, given its arguments. */
+export function executeAwsStatement(
+    spawnFunc: (...args: any[]) => any,
+    args: string[],
+    options?: { retry?: RetryOptions }
+): Promise<{
+    success: boolean;
+    results?: { columnMetadata?: ColumnMetadata[]; records: object[][] };
+    message?: string;
+    numberOfRecordsUpdated?: number;
+    generatedFields?: object[];
+    elapsedMs: number;
+}>;
+
+/** Prints a result of executeAwsStatement the way the command line does. */
+export function displayResults(
+    output: object,
+    options?: { format?: OutputFormat; timing?: boolean; vertical?: boolean | 'auto'; insert?: InsertOptions }
+): void;
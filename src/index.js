@@ -4,144 +4,87 @@ import { spawn as originalSpawn } from 'child_process';
 import { fileURLToPath } from 'url'; // Needed to get the script's file path in ESM
 import path from 'path';
 import { realpathSync } from 'fs';
+import { readFile } from 'fs/promises';
+import { executeAwsStatement } from './aws.js';
+import { decodeResult, decodeField, formatValue } from './decode.js';
+import { formatResults } from './formatters.js';
+import { parseCliArgs, getArgValue, withArgValue, removeArgs } from './options.js';
+import { applyParameters } from './parameters.js';
+import { loadConfig, getTarget, selectTarget, applyTarget, validateTarget, describeTargets } from './config.js';
+import { startRepl } from './repl.js';
+import { parseScript, runScript } from './script.js';
+import { runLoad } from './load.js';
+import { ENGINES, detectEngine, buildExplainSql, formatPlan } from './explain.js';
+import { runPaginated, DEFAULT_PAGE_SIZE } from './paginate.js';
+import { EXIT_CODES } from './errors.js';
+import { createRecordingSpawn, createReplaySpawn } from './replay.js';
+import { guardExecute, guardStatements, confirmOnTerminal, createDryRunSpawn, classifySql, GuardError } from './guard.js';
+import { runDiff, refuseDiffWrites } from './diff.js';
+import { CATALOG_OPTIONS, runCatalogCommand } from './catalog.js';
+import { runWatch } from './watch.js';
+import { createClient, formatRows } from './client.js';
 
 // Get the equivalent of __filename in ES Modules
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// The statement runner lives in its own module; it is re-exported here as part of the public API
+export { executeAwsStatement };
+
+// The Node API (see client.js), with the formatters returning strings and the error classes
+export { createClient, formatRows, formatResults, decodeResult, EXIT_CODES, GuardError };
+export { FORMATS } from './formatters.js';
+export { toSqlParameters } from './parameters.js';
+export { AwsCliError } from './errors.js';
+
 /**
- * Executes an AWS RDS Data API execute-statement command using the AWS CLI.
- * This function is designed to be testable by accepting the spawn function as a dependency.
- *
- * @param {function} spawnFunc - The function to use for spawning the child process (e.g., require('child_process').spawn or a mock).
- * @param {string[]} args - An array of arguments to pass to the AWS CLI command (e.g., ['--resource-arn', '...', '--sql', '...']).
- * @returns {Promise<{success: boolean, results?: object, message?: string, error?: Error}>} A promise that resolves with the parsed results or a success message, or rejects with an error.
+ * Returns the layout of the table format for the terminal the results are written to.
+ * When stdout is not a terminal (e.g. piped to a file) rows are never truncated.
+ * @param {boolean|string} vertical - The vertical mode (true, false or "auto").
+ * @returns {{width: number, vertical: boolean|string}} The layout options of formatResults.
  */
-export async function executeAwsStatement(spawnFunc, args) {
-    // Validate minimum required arguments (simplified check for demonstration)
-    // A more robust check might use a library or check for specific flags like --resource-arn, --secret-arn, --sql
-    if (!args || args.length === 0 || !args.some(arg => arg.startsWith('--sql'))) {
-        // Throw an error instead of calling process.exit directly
-        throw new Error("Missing required arguments for AWS CLI command.");
-    }
-
-    // Build the command arguments for AWS CLI
-    const awsCommandArgs = [
-        'rds-data',
-        'execute-statement',
-        '--include-result-metadata', // Ensure this flag is always present
-        ...args // Add all arguments provided by the user
-    ];
-
-    // Use the provided spawn function to execute the AWS CLI command
-    const awsProcess = spawnFunc('aws', awsCommandArgs);
-
-    let output = ''; // String to accumulate standard output
-    let errorOutput = ''; // String to accumulate standard error
-
-    // Listen for data on standard output
-    awsProcess.stdout.on('data', (data) => {
-        output += data.toString();
-    });
-
-    // Listen for data on standard error
-    awsProcess.stderr.on('data', (data) => {
-        errorOutput += data.toString();
-    });
-
-    // Return a Promise that resolves or rejects based on the child process outcome
-    return new Promise((resolve, reject) => {
-        // Listen for the 'error' event on the child process (e.g., command not found)
-        awsProcess.on('error', (err) => {
-            // Reject the promise with a specific error indicating spawn failure
-            reject(new Error(`Failed to start subprocess: ${err.message}`));
-        });
-
-        // Listen for the 'close' event when the child process exits
-        awsProcess.on('close', (code) => {
-            // If the exit code is non-zero, the AWS command failed
-            if (code !== 0) {
-                // Reject the promise with an error including the exit code and stderr output
-                reject(new Error(`Error executing the command (code ${code}):\n${errorOutput}`));
-            } else {
-                // If the exit code is 0, try to process the output
-                try {
-                    // If there's no output, it might be a successful command with no results (like INSERT/UPDATE)
-                    if (!output.trim()) {
-                        resolve({success: true, message: 'Command run successfully. No results to display.'});
-                        return;
-                    }
-
-                    // Attempt to parse the output as JSON
-                    const result = JSON.parse(output);
-
-                    // Check if 'records' array exists and is an array (typical for SELECT)
-                    if (Array.isArray(result.records)) {
-                        // Resolve with the parsed results object
-                        resolve({success: true, results: result});
-                    } else {
-                        // Otherwise, assume it's a successful command without a standard result set
-                        resolve({success: true, message: 'Command run successfully. No results to display.'});
-                    }
-
-                } catch (e) {
-                    // If JSON parsing fails, reject the promise with a parsing error
-                    reject(new Error(`Error during the parsing of the output or invalid JSON:\n${e.message}\nOutput not valid JSON:\n${output}`));
-                }
-            }
-        });
-    });
+function terminalLayout(vertical) {
+    return { width: process.stdout.isTTY ? process.stdout.columns : Infinity, vertical };
 }
 
 /**
- * Function to format and display query results in a pretty table
+ * Function to format and display query results
  * @param {object} output - The output object from executeAwsStatement
+ * @param {object} [options]
+ * @param {string} [options.format='table'] - The output format (table, json, ndjson, csv, tsv, markdown or sql).
+ * Only the table format prints the "📊 Results" banner; the other formats write nothing but the data to stdout.
+ * @param {boolean} [options.timing=true] - Whether to print the execution time of the statement.
+ * @param {boolean|string} [options.vertical='auto'] - Table format only: true to show one block per record,
+ * "auto" to do so when the rows do not fit in the terminal.
+ * @param {{table: string, engine?: string, upsert?: string[], batchSize?: number}} [options.insert] - Sql format
+ * only: the table to insert into and the upsert settings (see formatInserts).
  */
-export function displayResults(output) {
+export function displayResults(output, { format = 'table', timing = true, vertical = 'auto', insert } = {}) {
+    // Keep stdout machine-readable: with formats other than table, status lines go to stderr
+    const status = format === 'table' ? console.log : console.error;
+
     if (output.results) {
-        // --- Output Formatting Logic ---
-        const result = output.results;
-        const columnNames = result.columnMetadata ? result.columnMetadata.map(col => col.name) : [];
-        const rows = result.records.map(row =>
-            row.map(cell => {
-                const value = Object.values(cell)[0];
-                return value === null ? null : value;
-            })
-        );
-
-        // Print the number of records (rows)
-        console.log(`\n📊 Results (${rows.length}):\n`);
-
-        const colWidths = [];
-        const dataToMeasure = columnNames.length > 0 ? [columnNames, ...rows] : rows;
-
-        for (const row of dataToMeasure) {
-            row.forEach((val, i) => {
-                const len = String(val ?? '').length;
-                colWidths[i] = Math.max(colWidths[i] || 0, len);
-            });
-        }
-
-        if (columnNames.length > 0) {
-            const headerLine = columnNames
-                .map((name, i) => String(name ?? '').padEnd(colWidths[i]))
-                .join(' | ');
-            console.log('  ', headerLine);
-
-            console.log('  ', colWidths.map(w => '-'.repeat(w)).join(' | '));
-        }
-
-        rows.forEach(row => {
-            const line = row
-                .map((val, i) => String(val ?? '').padEnd(colWidths[i]))
-                .join(' | ');
-            console.log('•', line);
-        });
-        // --- End Output Formatting Logic ---
+        const decoded = decodeResult(output.results);
+
+        if (format === 'table') {
+            // Print the number of records (rows)
+            console.log(`\n📊 Results (${decoded.rows.length}):\n`);
+        }
+
+        console.log(formatResults(decoded, format, format === 'sql' ? insert : terminalLayout(vertical)));
 
     } else {
         // Print success message for commands without standard results
-        console.log(output.message);
+        status(output.message);
+
+        // Values generated by the statement (e.g. auto-increment ids), as returned by the Data API
+        if (output.generatedFields) {
+            status(`🔑 Generated fields: ${output.generatedFields.map(field => formatValue(decodeField(field))).join(', ')}`);
+        }
+    }
+
+    if (timing && typeof output.elapsedMs === 'number') {
+        status(`⏱️  ${output.elapsedMs} ms`);
     }
 }
 
@@ -150,26 +93,292 @@ export function displayResults(output) {
 // (not when it is imported as a module in the tests)
 
 // Detect if this file is being run directly as a script
-const realArgv = realpathSync(process.argv[1] ?? '');
+// process.argv[1] is missing when the package is imported from `node -e` or the Node REPL
+const realArgv = process.argv[1] ? realpathSync(process.argv[1]) : '';
 const realCurrent = realpathSync(fileURLToPath(import.meta.url));
 
 const isRunningDirectly = realArgv === realCurrent;
 
 
+/**
+ * Runs the command line interface: separates our own options (e.g. --format, --param, --target) from
+ * the arguments forwarded to the AWS CLI, executes the statement and displays the results.
+ * @param {string[]} argv - The command line arguments (without the node executable and script path).
+ * @returns {Promise<void>}
+ */
+async function main(argv) {
+    const { options, awsArgs } = parseCliArgs(argv);
+    const config = await loadConfig();
+
+    // Statements are run with the real spawn function, unless the AWS calls are only printed (--dry-run),
+    // recorded to fixture files or played back from them
+    if (options.record && options.replay) {
+        throw new Error('Use either --record or --replay, not both.');
+    }
+    let spawn = originalSpawn;
+    if (options.dryRun) {
+        spawn = createDryRunSpawn();
+    } else if (options.replay) {
+        spawn = createReplaySpawn(options.replay);
+    } else if (options.record) {
+        spawn = createRecordingSpawn(originalSpawn, options.record);
+    }
+
+    if (options.listTargets) {
+        console.log(formatResults(describeTargets(config), options.format ?? 'table'));
+        return;
+    }
+
+    if (options.validateTarget) {
+        const problems = validateTarget(getTarget(config, options.validateTarget));
+        if (problems.length > 0) {
+            throw new Error(`Target "${options.validateTarget}" is invalid:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+        }
+        console.log(`✅ Target "${options.validateTarget}" is valid.`);
+        return;
+    }
+
+    // Explicit command line arguments win over the values of the selected target
+    const target = selectTarget(config, options.target, awsArgs);
+    const connectionArgs = target ? applyTarget(target, awsArgs) : awsArgs;
+    if (options.asInserts !== undefined && (options.format ?? 'sql') !== 'sql') {
+        throw new Error(`--as-inserts writes the sql format, it cannot be used with --format ${options.format}.`);
+    }
+    const format = options.asInserts !== undefined ? 'sql' : options.format ?? target?.format ?? 'table';
+
+    // The engine when it is configured, for the quoting rules of the SQL (Postgres ones otherwise)
+    const sqlEngine = options.engine ?? target?.engine;
+
+    // Every statement goes through the guard: read-only mode and confirmation of destructive statements
+    // (a dry run executes nothing, so it needs no confirmation)
+    const policy = {
+        engine: sqlEngine,
+        readOnly: Boolean(options.readOnly || target?.readOnly),
+        yes: Boolean(options.yes || options.dryRun),
+        confirm: process.stdin.isTTY ? confirmOnTerminal : undefined
+    };
+    const run = args => executeAwsStatement(spawn, args);
+    const execute = guardExecute(run, policy);
+
+    // The engine of the cluster, asked for when it is not configured; a dry run sends nothing, so it cannot ask
+    const clusterEngine = async () => {
+        if (sqlEngine) {
+            return sqlEngine;
+        }
+        if (options.dryRun) {
+            throw new Error(`--dry-run cannot detect the engine of the cluster: add --engine (${ENGINES.join(' or ')}) or set the engine of the target.`);
+        }
+        return detectEngine(execute, removeArgs(connectionArgs, ['--sql', '--parameters']));
+    };
+
+    // Run the query on two targets and compare the results
+    if (options.command === 'diff') {
+        if (!options.left || !options.right) {
+            throw new Error('The diff command needs the targets to compare in --left and --right.');
+        }
+        if (options.target || getArgValue(awsArgs, '--resource-arn') !== undefined) {
+            throw new Error('The diff command takes the clusters from the --left and --right targets, not from --target or --resource-arn.');
+        }
+        if (getArgValue(awsArgs, '--sql') === undefined) {
+            throw new Error('The diff command needs the query to compare in --sql.');
+        }
+        const sides = [options.left, options.right].map(name => {
+            const sideTarget = getTarget(config, name);
+            const engine = options.engine ?? sideTarget.engine;
+            return {
+                name,
+                engine,
+                args: applyParameters(applyTarget(sideTarget, awsArgs), { ...options, engine }),
+                execute: guardExecute(run, { ...policy, engine, readOnly: Boolean(options.readOnly || sideTarget.readOnly) })
+            };
+        });
+        if (options.dryRun) {
+            refuseDiffWrites(sides);
+            for (const side of sides) {
+                await side.execute(side.args);
+            }
+            return;
+        }
+        await runDiff(sides, {
+            key: options.key,
+            format: options.format ?? 'table',
+            layout: terminalLayout(options.vertical || 'auto'),
+            color: Boolean(process.stdout.isTTY && !process.env.NO_COLOR),
+            status: (options.format ?? 'table') === 'table' ? console.log : console.error
+        });
+        return;
+    }
+    if (options.left !== undefined || options.right !== undefined) {
+        throw new Error('--left and --right can only be used with the diff command.');
+    }
+    if (options.key !== undefined && options.watch === undefined) {
+        throw new Error('--key can only be used with the diff command or --watch.');
+    }
+
+    // The sql format writes INSERT statements, quoted for the engine of the cluster
+    let insert;
+    if (format === 'sql') {
+        if (!options.asInserts) {
+            throw new Error('The sql format needs the table to insert into: add --as-inserts <table>.');
+        }
+        insert = {
+            table: options.asInserts,
+            engine: await clusterEngine(),
+            upsert: options.upsert,
+            batchSize: options.batchSize
+        };
+    } else if (options.upsert !== undefined || options.batchSize !== undefined) {
+        throw new Error('--upsert and --batch-size can only be used with --as-inserts.');
+    }
+
+    // Bulk load a CSV/NDJSON file with batch-execute-statement
+    if (options.command === 'load') {
+        if (!options.input) {
+            throw new Error('The load command needs the file to load in --input.');
+        }
+        await guardStatements([getArgValue(connectionArgs, '--sql') ?? ''], policy);
+        const summary = await runLoad(spawn, { ...options, awsArgs: connectionArgs });
+        if (summary.rejected > 0) {
+            throw new Error(`${summary.rejected} row(s) were rejected, see ${summary.rejectsFile}.`);
+        }
+        return;
+    }
+
+    // Run a script file statement by statement, optionally in a transaction
+    if (options.file) {
+        if (getArgValue(awsArgs, '--sql') !== undefined) {
+            throw new Error('Use either --file or --sql, not both.');
+        }
+        const { statements, lines } = parseScript(await readFile(options.file, 'utf8'), { engine: sqlEngine });
+        if (statements.length === 0) {
+            throw new Error(`No SQL statements found in ${options.file}.`);
+        }
+        await guardStatements(statements, policy);
+        await runScript(spawn, { statements, lines, connectionArgs, transaction: Boolean(options.transaction), dryRun: Boolean(options.dryRun) });
+        return;
+    }
+
+    // List databases, tables or indexes, or describe a table
+    const catalogOptions = Object.keys(CATALOG_OPTIONS).filter(key => options[key] !== undefined);
+    if (catalogOptions.length > 1) {
+        throw new Error('Use only one of --list-databases, --list-tables, --describe and --list-indexes at a time.');
+    }
+    if (catalogOptions.length === 1) {
+        if (getArgValue(awsArgs, '--sql') !== undefined) {
+            throw new Error('--list-databases, --list-tables, --describe and --list-indexes cannot be combined with --sql.');
+        }
+        const [key] = catalogOptions;
+        const engineArgs = removeArgs(connectionArgs, ['--sql', '--parameters']);
+        const engine = await clusterEngine();
+        const output = await runCatalogCommand(execute, engineArgs, { engine, command: CATALOG_OPTIONS[key], table: options[key] });
+        if (options.dryRun) {
+            return;
+        }
+        displayResults(output, { format, vertical: options.vertical || 'auto', insert });
+        return;
+    }
+
+    // Without --sql on an interactive terminal, start a session instead of failing
+    if (getArgValue(awsArgs, '--sql') === undefined && process.stdin.isTTY) {
+        await startRepl({
+            // The session applies the readOnly setting of the target in use, which may change
+            execute: guardExecute(run, { ...policy, readOnly: Boolean(options.readOnly) }),
+            display: (output, settings) => displayResults(output, { ...settings, insert }),
+            awsArgs,
+            config,
+            target: options.target ?? (target ? config.defaultTarget : undefined),
+            format,
+            vertical: options.vertical || 'auto',
+            engine: options.engine
+        });
+        return;
+    }
+
+    // Turn --param/--param-type into the Data API --parameters JSON
+    const statementArgs = applyParameters(connectionArgs, { ...options, engine: sqlEngine });
+
+    // Show the query plan instead of the results
+    if (options.explain || options.explainAnalyze) {
+        const engine = await clusterEngine();
+        const sql = getArgValue(statementArgs, '--sql') ?? '';
+        // EXPLAIN ANALYZE runs the statement, so it is guarded as the statement itself
+        if (options.explainAnalyze) {
+            await guardStatements([sql], policy);
+        }
+        const explainSql = buildExplainSql(engine, sql, { analyze: Boolean(options.explainAnalyze) });
+        const output = await (options.explainAnalyze ? run : execute)(withArgValue(statementArgs, '--sql', explainSql));
+        console.log(`\n🧭 Query plan (${engine}):\n`);
+        console.log(output.results ? formatPlan(output.results) : output.message);
+        console.log(`\n⏱️  ${output.elapsedMs} ms`);
+        return;
+    }
+
+    // Re-run the query on an interval, highlighting what changed
+    if (options.watch !== undefined) {
+        if (options.paginate) {
+            throw new Error('--watch cannot be combined with --paginate.');
+        }
+        // Only reads are re-run: repeating a write every few seconds is never what was meant
+        if (classifySql(getArgValue(statementArgs, '--sql') ?? '', { engine: sqlEngine }).kind !== 'read') {
+            throw new GuardError('--watch only re-runs queries that read data.');
+        }
+        if (options.dryRun) {
+            await execute(statementArgs);
+            return;
+        }
+        await runWatch(execute, statementArgs, {
+            interval: options.watch,
+            key: options.key,
+            untilRows: options.untilEmpty ? 0 : options.untilRows,
+            format,
+            formatOptions: format === 'sql' ? insert : terminalLayout(options.vertical || 'auto'),
+            redraw: Boolean(process.stdout.isTTY),
+            color: Boolean(process.stdout.isTTY && !process.env.NO_COLOR)
+        });
+        return;
+    }
+    if (options.untilEmpty || options.untilRows !== undefined) {
+        throw new Error('--until-empty and --until-rows can only be used with --watch.');
+    }
+
+    // Fetch large results page by page, writing each page as it arrives
+    if (options.paginate) {
+        await runPaginated(execute, statementArgs, {
+            format,
+            pageSize: options.pageSize ?? DEFAULT_PAGE_SIZE,
+            keyset: options.keyset,
+            maxRows: options.maxRows,
+            formatOptions: format === 'sql' ? insert : terminalLayout(options.vertical || 'auto'),
+            status: format === 'table' ? console.log : console.error
+        });
+        return;
+    }
+    if (options.pageSize !== undefined || options.keyset !== undefined || options.maxRows !== undefined) {
+        throw new Error('--page-size, --keyset and --max-rows can only be used with --paginate.');
+    }
+
+    // Call the core logic function, injecting the real spawn function
+    const output = await execute(statementArgs);
+    if (options.dryRun) {
+        return;
+    }
+
+    // Display results using our formatter function
+    displayResults(output, { format, vertical: options.vertical || 'auto', insert });
+}
+
 if (isRunningDirectly) {
     // Get the arguments passed from the command line
     const commandLineArgs = process.argv.slice(2);
 
-    // Call the core logic function, injecting the real spawn function
-    executeAwsStatement(originalSpawn, commandLineArgs)
-        .then(output => {
-            // Display results using our formatter function
-            displayResults(output);
+    main(commandLineArgs)
+        .then(() => {
             process.exit(0); // Exit with success code
         })
         .catch(error => {
-            // Handle errors by printing to console.error and exiting with a non-zero code
+            // Handle errors by printing to console.error and exiting with a non-zero code:
+            // classified AWS failures carry their own exit code (see errors.js), also when wrapped by the script runner
             console.error(`❌ ${error.message}`);
-            process.exit(1); // Exit with a generic error code for simplicity
+            process.exit(error.exitCode ?? EXIT_CODES.ERROR);
         });
 }
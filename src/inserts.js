@@ -0,0 +1,161 @@
+/**
+ * The `sql` output format: a result set written as INSERT statements.
+ *
+ * Values are written as literals of the column type reported in `columnMetadata`:
+ * numbers and booleans unquoted, strings, dates and JSON documents quoted, binary
+ * values in the hexadecimal notation of the engine, SQL NULL as NULL. The statements
+ * can optionally be upserts (Postgres `ON CONFLICT`, MySQL `ON DUPLICATE KEY UPDATE`)
+ * and insert several rows at once.
+ */
+
+import { formatValue, isNumericType, isJsonType, isZonedTimestampType, sourceText } from './decode.js';
+
+/**
+ * Default number of rows per INSERT statement.
+ * @type {number}
+ */
+export const DEFAULT_BATCH_SIZE = 1;
+
+/**
+ * Quotes an identifier (column name) for an engine: "name" on Postgres, `name` on MySQL.
+ * @param {string} name - The identifier.
+ * @param {string} engine - "postgres" or "mysql".
+ * @returns {string} The quoted identifier.
+ */
+export function quoteIdentifier(name, engine) {
+    const quote = engine === 'mysql' ? '`' : '"';
+    return `${quote}${name.split(quote).join(quote + quote)}${quote}`;
+}
+
+/**
+ * Quotes a string literal for an engine. Quotes are doubled; MySQL also treats
+ * backslashes as escape characters, so they are doubled there too.
+ * @param {string} text - The string.
+ * @param {string} engine - "postgres" or "mysql".
+ * @returns {string} The quoted literal.
+ */
+export function quoteString(text, engine) {
+    const escaped = engine === 'mysql' ? text.replace(/\\/g, '\\\\') : text;
+    return `'${escaped.replace(/'/g, "''")}'`;
+}
+
+/**
+ * Formats an array as the text of a Postgres array literal, e.g. {"a","b",NULL}.
+ * @param {Array} values - The (possibly nested) array.
+ * @param {object} column - The column metadata, used to format the elements.
+ * @returns {string} The array literal text (to be quoted).
+ */
+function arrayText(values, column) {
+    const elements = values.map(value => {
+        if (Array.isArray(value)) {
+            return arrayText(value, column);
+        }
+        if (value === null) {
+            return 'NULL';
+        }
+        return `"${formatValue(value, column).replace(/[\\"]/g, '\\$&')}"`;
+    });
+    return `{${elements.join(',')}}`;
+}
+
+/**
+ * Converts a decoded value into a SQL literal of its column type.
+ * @param {*} value - A value produced by decodeField.
+ * @param {object} [column] - The matching entry of `columnMetadata`.
+ * @param {string} [engine='postgres'] - "postgres" or "mysql".
+ * @returns {string} The literal.
+ */
+export function sqlLiteral(value, column, engine = 'postgres') {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    // JSON documents may decode to numbers or strings, which must still be written as documents
+    if (isJsonType(column?.typeName)) {
+        return quoteString(JSON.stringify(value), engine);
+    }
+    if (typeof value === 'boolean') {
+        return value ? 'TRUE' : 'FALSE';
+    }
+    if (typeof value === 'bigint' || (typeof value === 'number' && Number.isFinite(value))) {
+        return String(value);
+    }
+    if (typeof value === 'string' && isNumericType(column?.typeName) && /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value)) {
+        // Decimals are decoded as strings to keep their precision
+        return value;
+    }
+    if (Buffer.isBuffer(value)) {
+        return engine === 'mysql' ? `X'${value.toString('hex')}'` : `'\\x${value.toString('hex')}'`;
+    }
+    if (Array.isArray(value)) {
+        return engine === 'mysql' ? quoteString(JSON.stringify(value), engine) : quoteString(arrayText(value, column), engine);
+    }
+    if (value instanceof Date) {
+        // The original Data API text keeps the microseconds; timestamps without an offset are in UTC
+        const text = sourceText(value) ?? formatValue(value, column);
+        const zoned = isZonedTimestampType(column?.typeName) && !/(Z|[+-]\d{2}(:?\d{2})?)$/.test(text);
+        return quoteString(`${text}${zoned ? '+00' : ''}`, engine);
+    }
+    // Strings, and numbers such as NaN or Infinity which only exist as quoted literals
+    return quoteString(formatValue(value, column), engine);
+}
+
+/**
+ * Builds the upsert clause of an INSERT statement.
+ * @param {string[]} names - The column names.
+ * @param {string[]} keys - The columns identifying a row (the conflict target on Postgres).
+ * @param {string} engine - "postgres" or "mysql".
+ * @returns {string} The clause.
+ */
+function upsertClause(names, keys, engine) {
+    const updated = names.filter(name => !keys.includes(name));
+    if (engine === 'mysql') {
+        // MySQL finds the conflicting key itself; updating a key column to itself does nothing
+        const assignments = (updated.length > 0 ? updated : keys.slice(0, 1))
+            .map(name => `${quoteIdentifier(name, engine)} = VALUES(${quoteIdentifier(name, engine)})`);
+        return `ON DUPLICATE KEY UPDATE ${assignments.join(', ')}`;
+    }
+    const target = `ON CONFLICT (${keys.map(name => quoteIdentifier(name, engine)).join(', ')})`;
+    if (updated.length === 0) {
+        return `${target} DO NOTHING`;
+    }
+    return `${target} DO UPDATE SET ${updated.map(name => `${quoteIdentifier(name, engine)} = EXCLUDED.${quoteIdentifier(name, engine)}`).join(', ')}`;
+}
+
+/**
+ * Formats the result as INSERT statements, one per batch of rows.
+ *
+ *     INSERT INTO users ("id", "name") VALUES (1, 'Alice');
+ *
+ * @param {{columns: object[], rows: Array[]}} decoded - The decoded result.
+ * @param {object} options
+ * @param {string} options.table - The table to insert into, written as given (e.g. "app.users").
+ * @param {string} [options.engine='postgres'] - "postgres" or "mysql", for quoting.
+ * @param {string[]} [options.upsert] - Makes the statements upserts on these key columns.
+ * @param {number} [options.batchSize=DEFAULT_BATCH_SIZE] - The number of rows per statement.
+ * @returns {string} The statements, one per line (rows on their own lines in multi-row statements).
+ */
+export function formatInserts(decoded, { table, engine = 'postgres', upsert, batchSize = DEFAULT_BATCH_SIZE } = {}) {
+    if (!table) {
+        throw new Error('The sql format needs the table to insert into: add --as-inserts <table>.');
+    }
+    const { columns } = decoded;
+    const names = columns.map((col, i) => col.name ?? `column${i + 1}`);
+    for (const key of upsert ?? []) {
+        if (!names.includes(key)) {
+            throw new Error(`The upsert column ${key} is not part of the query results.`);
+        }
+    }
+
+    const prefix = `INSERT INTO ${table} (${names.map(name => quoteIdentifier(name, engine)).join(', ')}) VALUES`;
+    const suffix = upsert?.length > 0 ? ` ${upsertClause(names, upsert, engine)}` : '';
+    const tuples = decoded.rows.map(row => `(${names.map((_, i) => sqlLiteral(row[i], columns[i], engine)).join(', ')})`);
+
+    const statements = [];
+    for (let i = 0; i < tuples.length; i += batchSize) {
+        const batch = tuples.slice(i, i + batchSize);
+        statements.push(batch.length === 1
+            ? `${prefix} ${batch[0]}${suffix};`
+            : `${prefix}\n  ${batch.join(',\n  ')}${suffix ? `\n${suffix.trim()}` : ''};`);
+    }
+    return statements.join('\n');
+}
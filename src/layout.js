@@ -0,0 +1,290 @@
+/**
+ * Terminal-aware layout of text tables.
+ *
+ * Cells are measured by their display width (the number of terminal columns they
+ * take), not by their length in UTF-16 code units: emoji and CJK characters take two
+ * columns, combining marks none. When the rows are wider than the terminal the widest
+ * columns are truncated with an ellipsis, and when even that is not enough the result
+ * is shown vertically, one block per record, like psql's `\x` or MySQL's `\G`.
+ */
+
+// Narrowest a column is truncated to before switching to the vertical layout
+// (columns whose header is wider keep their header width)
+const MIN_COLUMN_WIDTH = 8;
+
+// Prefixes and separator of the table layout
+const HEADER_PREFIX = '   ';
+const ROW_PREFIX = '• ';
+const SEPARATOR = ' | ';
+
+const ELLIPSIS = '…';
+
+// Ranges of the East Asian Wide and Fullwidth characters (Hangul, CJK, fullwidth forms...)
+const WIDE_RANGES = [
+    [0x1100, 0x115F], [0x2E80, 0x303E], [0x3041, 0x33FF], [0x3400, 0x4DBF],
+    [0x4E00, 0x9FFF], [0xA000, 0xA4CF], [0xAC00, 0xD7A3], [0xF900, 0xFAFF],
+    [0xFE30, 0xFE4F], [0xFF00, 0xFF60], [0xFFE0, 0xFFE6], [0x20000, 0x3FFFD]
+];
+
+// Created on first use, when available: Intl.Segmenter only exists since Node 16
+let segmenter;
+
+/**
+ * Splits a text into grapheme clusters (user-perceived characters).
+ * Without Intl.Segmenter the text is split into code points, keeping combining marks,
+ * variation selectors and zero-width joiner sequences with the character before them.
+ * @param {string} text - The text.
+ * @returns {string[]} The grapheme clusters.
+ */
+function graphemes(text) {
+    if (typeof Intl.Segmenter === 'function') {
+        segmenter = segmenter ?? new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+        return Array.from(segmenter.segment(text), ({ segment }) => segment);
+    }
+    const clusters = [];
+    for (const char of text) {
+        const last = clusters.length - 1;
+        if (last >= 0 && (/^[\p{Mn}\p{Me}\u{FE0F}\u{200D}]$/u.test(char) || clusters[last].endsWith('\u200D'))) {
+            clusters[last] += char;
+        } else {
+            clusters.push(char);
+        }
+    }
+    return clusters;
+}
+
+/**
+ * Returns the number of terminal columns taken by a single grapheme cluster.
+ * @param {string} grapheme - A user-perceived character (possibly several code points).
+ * @returns {number} 0, 1 or 2.
+ */
+function graphemeWidth(grapheme) {
+    // Emoji (including ZWJ sequences and the ones made emoji by U+FE0F) are rendered two columns wide
+    if (/\p{Emoji_Presentation}|\u{FE0F}/u.test(grapheme)) {
+        return 2;
+    }
+    const codePoint = grapheme.codePointAt(0);
+    if (WIDE_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end)) {
+        return 2;
+    }
+    // Control characters, combining marks and other format characters take no room
+    return /^[\p{Cc}\p{Mn}\p{Me}\p{Cf}]+$/u.test(grapheme) ? 0 : 1;
+}
+
+/**
+ * Returns the number of terminal columns a text takes.
+ * @param {string} text - The text, on a single line.
+ * @returns {number} The display width.
+ */
+export function displayWidth(text) {
+    // Fast path for plain ASCII, by far the most common case
+    if (/^[\x20-\x7E]*$/.test(text)) {
+        return text.length;
+    }
+    let width = 0;
+    for (const segment of graphemes(text)) {
+        width += graphemeWidth(segment);
+    }
+    return width;
+}
+
+/**
+ * Shortens a text to a display width, ending it with an ellipsis when it is cut.
+ * @param {string} text - The text, on a single line.
+ * @param {number} width - The maximum display width.
+ * @returns {string} The text, at most `width` columns wide.
+ */
+export function truncateToWidth(text, width) {
+    if (displayWidth(text) <= width) {
+        return text;
+    }
+    let result = '';
+    let used = 0;
+    for (const segment of graphemes(text)) {
+        const w = graphemeWidth(segment);
+        if (used + w > width - 1) {
+            break;
+        }
+        result += segment;
+        used += w;
+    }
+    return width > 0 ? `${result}${ELLIPSIS}` : '';
+}
+
+/**
+ * Splits a text into lines of at most a display width, breaking at grapheme
+ * boundaries. Line breaks in the text are kept.
+ * @param {string} text - The text.
+ * @param {number} width - The maximum display width of a line.
+ * @returns {string[]} The lines (at least one).
+ */
+export function wrapToWidth(text, width) {
+    const lines = [];
+    for (const paragraph of text.split(/\r?\n/)) {
+        let line = '';
+        let used = 0;
+        for (const segment of graphemes(paragraph)) {
+            const w = graphemeWidth(segment);
+            if (used + w > width && line !== '') {
+                lines.push(line);
+                line = '';
+                used = 0;
+            }
+            line += segment;
+            used += w;
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Pads a text to a display width.
+ * @param {string} text - The text.
+ * @param {number} width - The display width to reach.
+ * @param {string} [align='left'] - "left" or "right".
+ * @returns {string} The padded text.
+ */
+export function padToWidth(text, width, align = 'left') {
+    const padding = ' '.repeat(Math.max(0, width - displayWidth(text)));
+    return align === 'right' ? `${padding}${text}` : `${text}${padding}`;
+}
+
+/**
+ * Makes a cell fit on one line: line breaks are shown as "↵" and tabs as a space.
+ * @param {string} text - The cell text.
+ * @returns {string} The single-line text.
+ */
+function singleLine(text) {
+    return text.replace(/\r?\n/g, '↵').replace(/\t/g, ' ');
+}
+
+/**
+ * Shrinks the widest columns until the table fits in the available width.
+ * Every column is capped at the same width, but never below its minimum.
+ * @param {number[]} natural - The width each column needs to show all its values.
+ * @param {number[]} minimum - The width each column may be shrunk to.
+ * @param {number} available - The room left for the columns.
+ * @returns {number[]|null} The column widths, or null when the minimums do not fit.
+ */
+function fitColumns(natural, minimum, available) {
+    const sum = widths => widths.reduce((total, w) => total + w, 0);
+    const capped = cap => natural.map((w, i) => Math.max(minimum[i], Math.min(w, cap)));
+
+    if (sum(natural) <= available) {
+        return natural;
+    }
+    if (sum(minimum) > available) {
+        return null;
+    }
+    // Binary search of the largest cap that fits
+    let low = 0;
+    let high = Math.max(...natural);
+    while (low < high) {
+        const cap = Math.ceil((low + high) / 2);
+        if (sum(capped(cap)) <= available) {
+            low = cap;
+        } else {
+            high = cap - 1;
+        }
+    }
+    return capped(low);
+}
+
+/**
+ * Lays a table out as the `•`-prefixed pipe table historically printed by the tool.
+ *
+ * @param {object} table
+ * @param {string[]} table.names - The column names.
+ * @param {string[][]} table.rows - The cells, already formatted as text.
+ * @param {string[]} [table.align] - "left" or "right" for each column (e.g. right for numbers).
+ * @param {function(string, number, number): string} [table.style] - Decorates a laid out cell given its
+ * row and column index, e.g. with terminal colors. It is applied after padding and truncation, so the
+ * escape sequences it adds do not count in the widths.
+ * @param {object} [layout]
+ * @param {number} [layout.width=Infinity] - The terminal width.
+ * @param {boolean|string} [layout.vertical='auto'] - true to show one block per record, false to always
+ * show a table (truncated as much as possible), "auto" to switch to blocks when the table does not fit.
+ * @returns {string} The laid out table.
+ */
+export function renderTable({ names, rows, align = [], style }, { width = Infinity, vertical = 'auto' } = {}) {
+    if (vertical === true) {
+        return renderVertical({ names, rows, style }, { width });
+    }
+
+    const cells = rows.map(row => row.map(singleLine));
+    const natural = names.map(name => displayWidth(name ?? ''));
+    for (const row of cells) {
+        row.forEach((cell, i) => {
+            natural[i] = Math.max(natural[i] ?? 0, displayWidth(cell));
+        });
+    }
+    const columnCount = natural.length;
+    const minimum = natural.map((w, i) => Math.min(w, Math.max(MIN_COLUMN_WIDTH, displayWidth(names[i] ?? ''))));
+    const available = width - HEADER_PREFIX.length - SEPARATOR.length * (columnCount - 1);
+
+    let widths = fitColumns(natural, minimum, available);
+    if (!widths) {
+        if (vertical === 'auto') {
+            return renderVertical({ names, rows, style }, { width });
+        }
+        widths = minimum;
+    }
+
+    const line = (row, r) => widths
+        .map((w, i) => {
+            const cell = padToWidth(truncateToWidth(row[i] ?? '', w), w, align[i]);
+            return style && r !== undefined ? style(cell, r, i) : cell;
+        })
+        .join(SEPARATOR);
+
+    const lines = [];
+    if (names.length > 0) {
+        lines.push(`${HEADER_PREFIX}${line(names)}`);
+        lines.push(`${HEADER_PREFIX}${widths.map(w => '-'.repeat(w)).join(SEPARATOR)}`);
+    }
+    cells.forEach((row, r) => lines.push(`${ROW_PREFIX}${line(row, r)}`));
+    return lines.join('\n');
+}
+
+/**
+ * Lays a table out vertically, one block per record with a column name and its
+ * value on each line. Long values are wrapped to the terminal width instead of
+ * being truncated.
+ *
+ *     -[ RECORD 1 ]--------
+ *     id   | 1
+ *     name | Alice
+ *
+ * @param {object} table
+ * @param {string[]} table.names - The column names.
+ * @param {string[][]} table.rows - The cells, already formatted as text.
+ * @param {function(string, number, number): string} [table.style] - Decorates each line of a value (see renderTable).
+ * @param {object} [layout]
+ * @param {number} [layout.width=Infinity] - The terminal width.
+ * @returns {string} The records.
+ */
+export function renderVertical({ names, rows, style }, { width = Infinity } = {}) {
+    // Without column metadata the values are labelled by position
+    const count = rows.reduce((max, row) => Math.max(max, row.length), names.length);
+    const labels = Array.from({ length: count }, (_, i) => singleLine(names[i] ?? `column${i + 1}`));
+    const labelWidth = Math.max(0, ...labels.map(displayWidth));
+    const valueWidth = Math.max(MIN_COLUMN_WIDTH, width - labelWidth - SEPARATOR.length);
+
+    const blocks = rows.map((row, r) => {
+        const lines = [];
+        let widest = 0;
+        labels.forEach((label, i) => {
+            wrapToWidth(row[i] ?? '', valueWidth).forEach((part, j) => {
+                const value = part.trimEnd();
+                const line = `${padToWidth(j === 0 ? label : '', labelWidth)}${SEPARATOR}`;
+                widest = Math.max(widest, displayWidth(`${line}${value}`.trimEnd()));
+                lines.push(`${line}${style && value ? style(value, r, i) : value}`.trimEnd());
+            });
+        });
+        const title = `-[ RECORD ${r + 1} ]`;
+        const ruleWidth = Math.min(width, Math.max(displayWidth(title), widest));
+        return [`${title}${'-'.repeat(Math.max(0, ruleWidth - title.length))}`, ...lines].join('\n');
+    });
+    return blocks.join('\n');
+}
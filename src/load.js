@@ -0,0 +1,368 @@
+/**
+ * Bulk loading of CSV or NDJSON files through `batch-execute-statement`.
+ *
+ * Every input row becomes one parameter set of the given INSERT/UPSERT statement:
+ * each `:name` placeholder takes the value of the column with the same name (or the
+ * column mapped with --map). Rows are sent in chunks small enough for a single
+ * AWS CLI call; chunks that fail are written to a side file so they can be fixed
+ * and loaded again.
+ */
+
+import { readFile, writeFile, appendFile } from 'fs/promises';
+import path from 'path';
+import { batchExecuteStatement } from './aws.js';
+import { escapeCsv } from './formatters.js';
+import { getArgValue } from './options.js';
+import { buildParameter, inferParamType, findPlaceholders, PARAM_TYPES } from './parameters.js';
+
+/**
+ * Default maximum number of rows sent in one batch-execute-statement call.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_ROWS = 1000;
+
+/**
+ * Default maximum size in bytes of the --parameter-sets JSON of one call.
+ * The parameter sets are passed inline as a single command line argument, so they
+ * are kept well below both the Data API request size limit and the 128 KiB a single
+ * argument may take on Linux.
+ * @type {number}
+ */
+export const DEFAULT_CHUNK_BYTES = 96 * 1024;
+
+/**
+ * Parses CSV text (RFC 4180): quoted fields may contain delimiters, doubled quotes
+ * and line breaks. Following the Postgres COPY convention, an unquoted empty field
+ * is NULL while a quoted empty field ("") is an empty string.
+ * @param {string} text - The CSV text.
+ * @returns {Array<Array<string|null>>} The records, each an array of fields.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let wasQuoted = false;
+    let i = text.charCodeAt(0) === 0xfeff ? 1 : 0; // Skip the byte order mark written by spreadsheets
+
+    const endField = () => {
+        record.push(field === '' && !wasQuoted ? null : field);
+        field = '';
+        wasQuoted = false;
+    };
+    const endRecord = () => {
+        endField();
+        // Skip blank lines
+        if (record.length > 1 || record[0] !== null) {
+            records.push(record);
+        }
+        record = [];
+    };
+
+    while (i < text.length) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i += 2;
+                continue;
+            }
+            if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+            wasQuoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            endRecord();
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+        } else {
+            field += char;
+        }
+        i++;
+    }
+
+    if (quoted) {
+        throw new Error('Invalid CSV: unterminated quoted field.');
+    }
+    if (field !== '' || wasQuoted || record.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Reads the rows of a CSV (with a header line) or NDJSON document.
+ * @param {string} text - The file content.
+ * @param {string} format - "csv" or "ndjson".
+ * @returns {{columns: string[], rows: object[]}} The column names and one object per row.
+ */
+export function parseRows(text, format) {
+    if (format === 'csv') {
+        const [header = [], ...records] = parseCsv(text);
+        const columns = header.map(name => (name ?? '').trim());
+        const rows = records.map((record, i) => {
+            if (record.length !== columns.length) {
+                throw new Error(`Invalid CSV: row ${i + 1} has ${record.length} fields, the header has ${columns.length}.`);
+            }
+            return Object.fromEntries(columns.map((name, j) => [name, record[j]]));
+        });
+        return { columns, rows };
+    }
+
+    if (format === 'ndjson') {
+        const rows = [];
+        text.split('\n').forEach((line, i) => {
+            if (line.trim() === '') {
+                return;
+            }
+            let row;
+            try {
+                row = JSON.parse(line);
+            } catch (e) {
+                throw new Error(`Invalid NDJSON on line ${i + 1}: ${e.message}`);
+            }
+            if (!row || typeof row !== 'object' || Array.isArray(row)) {
+                throw new Error(`Invalid NDJSON on line ${i + 1}: expected a JSON object.`);
+            }
+            rows.push(row);
+        });
+        const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+        return { columns, rows };
+    }
+
+    throw new Error(`Unknown input format "${format}". Supported formats: csv, ndjson.`);
+}
+
+/**
+ * Guesses the input format from the file extension.
+ * @param {string} file - The input file path.
+ * @returns {string} "csv" or "ndjson".
+ */
+export function inputFormatOf(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (extension === '.csv') {
+        return 'csv';
+    }
+    if (extension === '.ndjson' || extension === '.jsonl') {
+        return 'ndjson';
+    }
+    throw new Error(`Cannot guess the format of ${file}. Use --input-format csv or --input-format ndjson.`);
+}
+
+/**
+ * Converts one input value into a Data API SqlParameter.
+ * CSV values are strings whose type is inferred like --param values; NDJSON values keep
+ * their JSON type (objects and arrays are sent as JSON). --param-type always wins.
+ * @param {string} name - The parameter name.
+ * @param {*} value - The input value.
+ * @param {string} [type] - The type given with --param-type.
+ * @returns {{name: string, value: object, typeHint?: string}} The SqlParameter.
+ */
+function toParameter(name, value, type) {
+    if (value === null || value === undefined) {
+        return buildParameter(name, undefined, 'NULL');
+    }
+    if (typeof value === 'object') {
+        return buildParameter(name, JSON.stringify(value), type ?? 'JSON');
+    }
+    const text = String(value);
+    if (type) {
+        return buildParameter(name, text, type);
+    }
+    if (typeof value === 'number') {
+        return buildParameter(name, text, Number.isInteger(value) ? 'LONG' : 'DOUBLE');
+    }
+    if (typeof value === 'boolean') {
+        return buildParameter(name, text, 'BOOLEAN');
+    }
+    return buildParameter(name, text, inferParamType(text));
+}
+
+/**
+ * Parses `name=value` pairs given to repeatable flags such as --map and --param-type.
+ * @param {string[]} pairs - The flag values.
+ * @param {string} flag - The flag, for error messages.
+ * @returns {Map<string, string>} The values by name.
+ */
+function parsePairs(pairs, flag) {
+    return new Map(pairs.map(pair => {
+        const index = pair.indexOf('=');
+        if (index <= 0) {
+            throw new Error(`Invalid ${flag} "${pair}". Expected ${flag} name=value.`);
+        }
+        return [pair.slice(0, index).replace(/^:/, ''), pair.slice(index + 1)];
+    }));
+}
+
+/**
+ * Builds one parameter set per row for the placeholders of the statement.
+ * @param {string} sql - The INSERT/UPSERT statement with `:name` placeholders.
+ * @param {{columns: string[], rows: object[]}} data - The input rows.
+ * @param {object} [mapping]
+ * @param {string[]} [mapping.map=[]] - `param=column` pairs for placeholders named differently from their column.
+ * @param {string[]} [mapping.paramTypes=[]] - `param=TYPE` pairs forcing the type of a placeholder.
+ * @param {function(number, Error): void} [mapping.onInvalid] - Called with the index of every row whose
+ * values cannot be converted, which is then left out; without it, such a row throws.
+ * @returns {Array<Array<object>>} The parameter sets, in row order.
+ */
+export function buildParameterSets(sql, { columns, rows }, { map = [], paramTypes = [], onInvalid } = {}) {
+    const placeholders = findPlaceholders(sql);
+    if (placeholders.length === 0) {
+        throw new Error('The statement has no :named placeholders to load the rows into.');
+    }
+
+    const columnOf = parsePairs(map, '--map');
+    const types = new Map([...parsePairs(paramTypes, '--param-type')].map(([name, type]) => [name, type.trim().toUpperCase()]));
+    for (const [name, type] of types) {
+        if (!PARAM_TYPES.includes(type)) {
+            throw new Error(`Unknown parameter type "${type}" for :${name}. Supported types: ${PARAM_TYPES.join(', ')}.`);
+        }
+    }
+
+    const missing = placeholders.filter(name => !columns.includes(columnOf.get(name) ?? name));
+    if (missing.length > 0) {
+        throw new Error(`No input column for ${missing.map(name => `:${name}`).join(', ')}. Available columns: ${columns.join(', ')}. Use --map param=column.`);
+    }
+
+    const parameterSets = [];
+    rows.forEach((row, i) => {
+        let set;
+        try {
+            set = placeholders.map(name => toParameter(name, row[columnOf.get(name) ?? name], types.get(name)));
+        } catch (error) {
+            if (!onInvalid) {
+                throw new Error(`Row ${i + 1}: ${error.message}`);
+            }
+            onInvalid(i, error);
+            return;
+        }
+        parameterSets.push(set);
+    });
+    return parameterSets;
+}
+
+/**
+ * Groups parameter sets into chunks limited both in rows and in JSON size.
+ * A single parameter set larger than the byte limit gets a chunk of its own.
+ * @param {Array<Array<object>>} parameterSets - The parameter sets.
+ * @param {object} [limits]
+ * @param {number} [limits.maxRows=DEFAULT_CHUNK_ROWS] - Maximum parameter sets per chunk.
+ * @param {number} [limits.maxBytes=DEFAULT_CHUNK_BYTES] - Maximum JSON size of a chunk.
+ * @returns {Array<{start: number, sets: Array<Array<object>>}>} The chunks, with the index of their first row.
+ */
+export function chunkParameterSets(parameterSets, { maxRows = DEFAULT_CHUNK_ROWS, maxBytes = DEFAULT_CHUNK_BYTES } = {}) {
+    const chunks = [];
+    let current = { start: 0, sets: [] };
+    let bytes = 2; // The enclosing brackets
+
+    parameterSets.forEach((set, i) => {
+        const size = Buffer.byteLength(JSON.stringify(set)) + 1; // Plus the separating comma
+        if (current.sets.length > 0 && (current.sets.length >= maxRows || bytes + size > maxBytes)) {
+            chunks.push(current);
+            current = { start: i, sets: [] };
+            bytes = 2;
+        }
+        current.sets.push(set);
+        bytes += size;
+    });
+
+    if (current.sets.length > 0) {
+        chunks.push(current);
+    }
+    return chunks;
+}
+
+/**
+ * Writes rows that could not be loaded to the rejects file, in the input format.
+ * @param {string} file - The rejects file.
+ * @param {string} format - "csv" or "ndjson".
+ * @param {string[]} columns - The input columns (for the CSV header).
+ * @param {object[]} rows - The rejected rows.
+ * @param {boolean} first - Whether this is the first write (the file is then created).
+ * @returns {Promise<void>}
+ */
+async function writeRejects(file, format, columns, rows, first) {
+    let text;
+    if (format === 'csv') {
+        // Quote empty strings so they stay distinct from NULL when the file is loaded again
+        const field = value => (value === null || value === undefined ? '' : (value === '' ? '""' : escapeCsv(String(value))));
+        text = rows.map(row => columns.map(name => field(row[name])).join(',')).join('\n') + '\n';
+        if (first) {
+            text = `${columns.map(escapeCsv).join(',')}\n${text}`;
+        }
+    } else {
+        text = rows.map(row => JSON.stringify(row)).join('\n') + '\n';
+    }
+    await (first ? writeFile(file, text) : appendFile(file, text));
+}
+
+/**
+ * Loads a CSV or NDJSON file with batch-execute-statement.
+ * Chunks are sent one after the other; a failed chunk does not stop the load, its rows
+ * are appended to the rejects file instead, like the rows whose values cannot be converted.
+ *
+ * @param {function} spawnFunc - The spawn function used for every AWS CLI call.
+ * @param {object} load
+ * @param {string} load.input - The path of the CSV or NDJSON file.
+ * @param {string[]} load.awsArgs - The AWS CLI arguments, including the connection and --sql.
+ * @param {string} [load.inputFormat] - "csv" or "ndjson"; guessed from the extension when omitted.
+ * @param {string[]} [load.map] - `param=column` pairs.
+ * @param {string[]} [load.paramTypes] - `param=TYPE` pairs.
+ * @param {number} [load.chunkRows] - Maximum rows per call.
+ * @param {string} [load.rejects] - The rejects file; defaults to `<input>.rejected.<ext>`.
+ * @param {function(string): void} [load.print=console.log] - Where progress lines are written.
+ * @returns {Promise<{rows: number, inserted: number, rejected: number, rejectsFile?: string}>} A summary of the load.
+ */
+export async function runLoad(spawnFunc, { input, awsArgs, inputFormat, map, paramTypes, chunkRows, rejects, print = console.log }) {
+    const sql = getArgValue(awsArgs, '--sql');
+    if (sql === undefined) {
+        throw new Error('The load command needs the INSERT/UPSERT statement in --sql.');
+    }
+
+    const format = inputFormat ?? inputFormatOf(input);
+    const data = parseRows(await readFile(input, 'utf8'), format);
+    const invalid = new Map();
+    const parameterSets = buildParameterSets(sql, data, { map, paramTypes, onInvalid: (index, error) => invalid.set(index, error) });
+    const rejectsFile = rejects ?? `${input}.rejected.${format}`;
+    const summary = { rows: data.rows.length, inserted: 0, rejected: 0 };
+
+    // Rows whose values cannot be converted are rejected before anything is sent
+    if (invalid.size > 0) {
+        await writeRejects(rejectsFile, format, data.columns, [...invalid.keys()].map(index => data.rows[index]), true);
+        summary.rejected = invalid.size;
+        summary.rejectsFile = rejectsFile;
+        for (const [index, error] of invalid) {
+            print(`❌ row ${index + 1} rejected: ${error.message}`);
+        }
+    }
+
+    // The input row of every parameter set
+    const setRows = data.rows.map((row, index) => index).filter(index => !invalid.has(index));
+    const chunks = chunkParameterSets(parameterSets, { maxRows: chunkRows });
+
+    for (const [i, chunk] of chunks.entries()) {
+        const rowIndexes = setRows.slice(chunk.start, chunk.start + chunk.sets.length);
+        const label = `[${i + 1}/${chunks.length}] rows ${rowIndexes[0] + 1}-${rowIndexes[rowIndexes.length - 1] + 1}`;
+        const started = Date.now();
+        try {
+            await batchExecuteStatement(spawnFunc, awsArgs, chunk.sets);
+            summary.inserted += chunk.sets.length;
+            print(`✅ ${label} loaded (${Date.now() - started} ms)`);
+        } catch (error) {
+            await writeRejects(rejectsFile, format, data.columns, rowIndexes.map(index => data.rows[index]), summary.rejected === 0);
+            summary.rejected += chunk.sets.length;
+            summary.rejectsFile = rejectsFile;
+            print(`❌ ${label} rejected: ${error.message.trim()}`);
+        }
+    }
+
+    print(`\n📋 ${summary.inserted} of ${summary.rows} rows loaded${summary.rejected > 0 ? `, ${summary.rejected} rejected (written to ${rejectsFile})` : ''}.`);
+    return summary;
+}
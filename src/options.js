@@ -0,0 +1,198 @@
+/**
+ * Command line parsing.
+ *
+ * The tool forwards its arguments to `aws rds-data execute-statement`, so only the
+ * flags it understands itself are picked out here; everything else is passed
+ * through to the AWS CLI untouched and in its original order.
+ */
+
+import { FORMATS } from './formatters.js';
+import { ENGINES } from './explain.js';
+
+/**
+ * Flags handled by rds-pretty-query itself.
+ * - `key`: the property of the parsed options object
+ * - `value`: whether the flag takes a value (`--flag value` or `--flag=value`)
+ * - `multiple`: whether the flag may be repeated, collecting its values in an array
+ * @type {Object<string, {key: string, value: boolean, multiple?: boolean}>}
+ */
+const OPTION_SPECS = {
+    '--format': { key: 'format', value: true },
+    '--param': { key: 'params', value: true, multiple: true },
+    '--param-type': { key: 'paramTypes', value: true, multiple: true },
+    '--target': { key: 'target', value: true },
+    '--list-targets': { key: 'listTargets', value: false },
+    '--validate-target': { key: 'validateTarget', value: true },
+    '--file': { key: 'file', value: true },
+    '--transaction': { key: 'transaction', value: false },
+    '--input': { key: 'input', value: true },
+    '--input-format': { key: 'inputFormat', value: true },
+    '--map': { key: 'map', value: true, multiple: true },
+    '--chunk-rows': { key: 'chunkRows', value: true },
+    '--rejects': { key: 'rejects', value: true },
+    '--explain': { key: 'explain', value: false },
+    '--explain-analyze': { key: 'explainAnalyze', value: false },
+    '--engine': { key: 'engine', value: true },
+    '--paginate': { key: 'paginate', value: false },
+    '--page-size': { key: 'pageSize', value: true },
+    '--keyset': { key: 'keyset', value: true },
+    '--max-rows': { key: 'maxRows', value: true },
+    '--vertical': { key: 'vertical', value: false },
+    '--record': { key: 'record', value: true },
+    '--replay': { key: 'replay', value: true },
+    '--read-only': { key: 'readOnly', value: false },
+    '--yes': { key: 'yes', value: false },
+    '--dry-run': { key: 'dryRun', value: false },
+    '--left': { key: 'left', value: true },
+    '--right': { key: 'right', value: true },
+    '--key': { key: 'key', value: true, multiple: true },
+    '--list-databases': { key: 'listDatabases', value: false },
+    '--list-tables': { key: 'listTables', value: false },
+    '--describe': { key: 'describe', value: true },
+    '--list-indexes': { key: 'listIndexes', value: true },
+    '--as-inserts': { key: 'asInserts', value: true },
+    '--upsert': { key: 'upsert', value: true, multiple: true },
+    '--batch-size': { key: 'batchSize', value: true },
+    '--watch': { key: 'watch', value: true },
+    '--until-empty': { key: 'untilEmpty', value: false },
+    '--until-rows': { key: 'untilRows', value: true }
+};
+
+/**
+ * Commands that may be given as the first argument, e.g. `rds-pretty-query load ...`.
+ * Without a command the statement given with --sql is executed.
+ * @type {string[]}
+ */
+export const COMMANDS = ['load', 'diff'];
+
+/**
+ * Splits the command line into tool options and AWS CLI arguments.
+ * @param {string[]} argv - The arguments (without the node executable and script path).
+ * @returns {{options: object, awsArgs: string[]}} The parsed tool options and the remaining AWS CLI arguments.
+ */
+export function parseCliArgs(argv) {
+    const options = {};
+    const awsArgs = [];
+    let i = 0;
+
+    if (COMMANDS.includes(argv[0])) {
+        options.command = argv[0];
+        i = 1;
+    }
+
+    for (; i < argv.length; i++) {
+        const arg = argv[i];
+        const [flag, inlineValue] = arg.startsWith('--') && arg.includes('=')
+            ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)]
+            : [arg, undefined];
+        const spec = OPTION_SPECS[flag];
+
+        if (!spec) {
+            awsArgs.push(arg);
+            continue;
+        }
+
+        let value = true;
+        if (spec.value) {
+            value = inlineValue ?? argv[++i];
+            if (value === undefined) {
+                throw new Error(`Missing value for ${flag}.`);
+            }
+        }
+
+        if (spec.multiple) {
+            options[spec.key] = [...(options[spec.key] ?? []), value];
+        } else {
+            options[spec.key] = value;
+        }
+    }
+
+    // The format is left undefined when not given, so that a target's default format can apply
+    if (options.format !== undefined && !FORMATS.includes(options.format)) {
+        throw new Error(`Unknown output format "${options.format}". Supported formats: ${FORMATS.join(', ')}.`);
+    }
+
+    if (options.engine !== undefined && !ENGINES.includes(options.engine)) {
+        throw new Error(`Unknown engine "${options.engine}". Supported engines: ${ENGINES.join(', ')}.`);
+    }
+
+    for (const [key, flag] of [['chunkRows', '--chunk-rows'], ['pageSize', '--page-size'], ['maxRows', '--max-rows'], ['batchSize', '--batch-size']]) {
+        if (options[key] !== undefined) {
+            options[key] = Number(options[key]);
+            if (!Number.isInteger(options[key]) || options[key] < 1) {
+                throw new Error(`${flag} must be a positive integer.`);
+            }
+        }
+    }
+
+    if (options.watch !== undefined) {
+        options.watch = Number(options.watch);
+        if (!(options.watch > 0)) {
+            throw new Error('--watch must be a positive number of seconds.');
+        }
+    }
+
+    if (options.untilRows !== undefined) {
+        options.untilRows = Number(options.untilRows);
+        if (!Number.isInteger(options.untilRows) || options.untilRows < 0) {
+            throw new Error('--until-rows must be a non-negative integer.');
+        }
+    }
+
+    // --key id,tenant_id is the same as --key id --key tenant_id (and likewise for --upsert)
+    for (const key of ['key', 'upsert']) {
+        if (options[key] !== undefined) {
+            options[key] = options[key].flatMap(value => value.split(',')).map(name => name.trim()).filter(Boolean);
+        }
+    }
+
+    return { options, awsArgs };
+}
+
+/**
+ * Reads the value of a flag from an argument list, supporting both
+ * `--flag value` and `--flag=value`. The last occurrence wins, like the AWS CLI.
+ * @param {string[]} args - The argument list.
+ * @param {string} flag - The flag to look for, e.g. "--sql".
+ * @returns {string|undefined} The value, or undefined if the flag is absent.
+ */
+export function getArgValue(args, flag) {
+    let value;
+    args.forEach((arg, i) => {
+        if (arg === flag) {
+            value = args[i + 1];
+        } else if (arg.startsWith(`${flag}=`)) {
+            value = arg.slice(flag.length + 1);
+        }
+    });
+    return value;
+}
+
+/**
+ * Removes flags (and their values) from an argument list.
+ * @param {string[]} args - The argument list.
+ * @param {string[]} flags - The flags to remove, e.g. ["--sql", "--parameters"].
+ * @returns {string[]} A new argument list without the flags.
+ */
+export function removeArgs(args, flags) {
+    const result = [];
+    for (let i = 0; i < args.length; i++) {
+        if (flags.includes(args[i])) {
+            i++; // Skip the value too
+        } else if (!flags.some(flag => args[i].startsWith(`${flag}=`))) {
+            result.push(args[i]);
+        }
+    }
+    return result;
+}
+
+/**
+ * Sets the value of a flag in an argument list, replacing any previous occurrence.
+ * @param {string[]} args - The argument list.
+ * @param {string} flag - The flag to set, e.g. "--sql".
+ * @param {string} value - The new value.
+ * @returns {string[]} A new argument list ending with `flag value`.
+ */
+export function withArgValue(args, flag, value) {
+    return [...removeArgs(args, [flag]), flag, value];
+}
@@ -0,0 +1,160 @@
+/**
+ * Automatic pagination of large SELECTs.
+ *
+ * The Data API refuses responses larger than 1 MB, so with --paginate the query is
+ * wrapped and fetched one page at a time, either by OFFSET or, with --keyset, by
+ * asking for the rows following the last key seen. Each page is written out as soon
+ * as it arrives: only one page is held in memory at any time.
+ */
+
+import { decodeResult, normalizeTypeName } from './decode.js';
+import { createStreamFormatter } from './formatters.js';
+import { getArgValue, withArgValue } from './options.js';
+
+/**
+ * Default number of rows fetched per page.
+ * @type {number}
+ */
+export const DEFAULT_PAGE_SIZE = 1000;
+
+// Name of the parameter carrying the last key of the previous page
+const AFTER_PARAMETER = 'rpq_after';
+
+// Data API type hints for keyset columns whose values travel as strings
+const KEY_TYPE_HINTS = {
+    timestamp: 'TIMESTAMP',
+    timestamptz: 'TIMESTAMP',
+    datetime: 'TIMESTAMP',
+    date: 'DATE',
+    time: 'TIME',
+    uuid: 'UUID',
+    numeric: 'DECIMAL',
+    decimal: 'DECIMAL'
+};
+
+/**
+ * Wraps a query so that it returns a single page.
+ * - OFFSET mode: `SELECT * FROM (<sql>) AS rpq_page LIMIT <size> OFFSET <offset>`
+ * - Keyset mode: `SELECT * FROM (<sql>) AS rpq_page [WHERE <key> > :rpq_after] ORDER BY <key> LIMIT <size>`
+ * @param {string} sql - The original query.
+ * @param {object} page
+ * @param {number} page.pageSize - The number of rows per page.
+ * @param {number} [page.offset=0] - The number of rows to skip (OFFSET mode).
+ * @param {string} [page.keyset] - The key column (keyset mode).
+ * @param {boolean} [page.after=false] - Whether to filter on the last key of the previous page (keyset mode).
+ * @returns {string} The page query.
+ */
+export function buildPageSql(sql, { pageSize, offset = 0, keyset, after = false }) {
+    const query = `SELECT * FROM (${sql.trim().replace(/;\s*$/, '')}) AS rpq_page`;
+    if (keyset) {
+        return `${query}${after ? ` WHERE ${keyset} > :${AFTER_PARAMETER}` : ''} ORDER BY ${keyset} LIMIT ${pageSize}`;
+    }
+    return `${query} LIMIT ${pageSize} OFFSET ${offset}`;
+}
+
+/**
+ * Builds the `:rpq_after` parameter from the key field of the last row of a page.
+ * The raw Data API field is sent back as is, with a type hint for the types that
+ * travel as strings (timestamps, dates, UUIDs, decimals).
+ * @param {object} field - The raw Data API field of the key column.
+ * @param {object} [column] - The key column metadata.
+ * @param {string} keyset - The key column, for error messages.
+ * @returns {{name: string, value: object, typeHint?: string}} The SqlParameter.
+ */
+function afterParameter(field, column, keyset) {
+    if (!field || field.isNull) {
+        throw new Error(`The keyset column ${keyset} contains NULL values; it must be unique and not null.`);
+    }
+    const parameter = { name: AFTER_PARAMETER, value: field };
+    const typeHint = KEY_TYPE_HINTS[normalizeTypeName(column?.typeName)];
+    if (typeHint) {
+        parameter.typeHint = typeHint;
+    }
+    return parameter;
+}
+
+/**
+ * Fetches the pages of a query one after the other.
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} args - The AWS CLI arguments of the original query (with --sql and optional --parameters).
+ * @param {object} [options]
+ * @param {number} [options.pageSize=DEFAULT_PAGE_SIZE] - The number of rows per page.
+ * @param {string} [options.keyset] - A unique, sortable column to paginate on instead of OFFSET.
+ * @param {number} [options.maxRows] - Stop after this many rows.
+ * @returns {AsyncGenerator<object>} The `results` of each page (columnMetadata and records).
+ */
+export async function* fetchPages(execute, args, { pageSize = DEFAULT_PAGE_SIZE, keyset, maxRows = Infinity } = {}) {
+    const sql = getArgValue(args, '--sql');
+    if (sql === undefined) {
+        throw new Error('Pagination needs the query in --sql.');
+    }
+    const parameters = JSON.parse(getArgValue(args, '--parameters') ?? '[]');
+    const keyName = keyset?.replace(/^["`]|["`]$/g, '');
+
+    let fetched = 0;
+    let after = null;
+
+    while (fetched < maxRows) {
+        const size = Math.min(pageSize, maxRows - fetched);
+        let pageArgs = withArgValue(args, '--sql', buildPageSql(sql, { pageSize: size, offset: fetched, keyset, after: Boolean(after) }));
+        if (after) {
+            pageArgs = withArgValue(pageArgs, '--parameters', JSON.stringify([...parameters, after]));
+        }
+
+        const output = await execute(pageArgs);
+        const results = output.results ?? { columnMetadata: [], records: [] };
+        fetched += results.records.length;
+        yield results;
+
+        if (results.records.length < size) {
+            return;
+        }
+        if (keyset) {
+            const columns = results.columnMetadata ?? [];
+            const index = columns.findIndex(col => col.name === keyName);
+            if (index === -1) {
+                throw new Error(`The keyset column ${keyset} is not part of the query results.`);
+            }
+            after = afterParameter(results.records[results.records.length - 1][index], columns[index], keyset);
+        }
+    }
+}
+
+/**
+ * Runs a query page by page and writes each page in the requested format as it arrives.
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} args - The AWS CLI arguments of the original query.
+ * @param {object} [options]
+ * @param {string} [options.format='table'] - The output format.
+ * @param {number} [options.pageSize] - The number of rows per page.
+ * @param {string} [options.keyset] - The keyset column.
+ * @param {number} [options.maxRows] - The maximum number of rows.
+ * @param {object} [options.formatOptions] - The options of the format (see formatResults), e.g. the layout
+ * of the table format.
+ * @param {function(string): void} [options.write] - Where the output is written (defaults to stdout).
+ * @param {function(string): void} [options.status] - Where progress lines are written (defaults to stderr).
+ * @returns {Promise<{rows: number, pages: number}>} The number of rows and pages fetched.
+ */
+export async function runPaginated(execute, args, {
+    format = 'table',
+    pageSize,
+    keyset,
+    maxRows,
+    formatOptions,
+    write = text => process.stdout.write(text),
+    status = text => console.error(text)
+} = {}) {
+    const formatter = createStreamFormatter(format, formatOptions);
+    const summary = { rows: 0, pages: 0 };
+
+    for await (const results of fetchPages(execute, args, { pageSize, keyset, maxRows })) {
+        const decoded = decodeResult(results);
+        summary.rows += decoded.rows.length;
+        summary.pages++;
+        write(formatter.page(decoded));
+    }
+    write(formatter.end());
+
+    status(`📊 ${summary.rows} row${summary.rows === 1 ? '' : 's'} in ${summary.pages} page${summary.pages === 1 ? '' : 's'}.`);
+    return summary;
+}
@@ -0,0 +1,306 @@
+/**
+ * Named SQL parameters given on the command line.
+ *
+ * `--param name=value` and `--param-type name=TYPE` flags are turned into the
+ * Data API `parameters` structure (`[{name, value: {longValue: 5}, typeHint}]`),
+ * after checking that they match the `:name` placeholders used in the SQL.
+ * toSqlParameters does the same for the JavaScript values given to the Node API.
+ */
+
+import { getArgValue } from './options.js';
+import { tokenizeSql } from './sql.js';
+
+// Types that map directly to a Data API Field member
+const VALUE_TYPES = ['STRING', 'LONG', 'DOUBLE', 'BOOLEAN', 'BLOB', 'NULL'];
+
+// Types sent as a stringValue together with the homonymous Data API typeHint
+const HINT_TYPES = ['DATE', 'TIME', 'TIMESTAMP', 'DECIMAL', 'UUID', 'JSON'];
+
+/**
+ * All the types accepted by --param-type.
+ * @type {string[]}
+ */
+export const PARAM_TYPES = [...VALUE_TYPES, ...HINT_TYPES];
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}:\d{2}(\.\d{1,9})?$/;
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,9})?Z?$/;
+const DECIMAL_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)$/;
+
+/**
+ * Splits a `name=value` command line argument.
+ * @param {string} arg - The argument, e.g. "email=foo@bar.com". Only the first "=" separates name and value.
+ * @param {string} flag - The flag the argument belongs to, for error messages.
+ * @returns {{name: string, value: string}} The parameter name (without a leading colon) and its value.
+ */
+function splitAssignment(arg, flag) {
+    const index = arg.indexOf('=');
+    const name = (index === -1 ? arg : arg.slice(0, index)).replace(/^:/, '').trim();
+    if (index === -1 || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+        throw new Error(`Invalid ${flag} "${arg}". Expected ${flag} name=value.`);
+    }
+    return { name, value: arg.slice(index + 1) };
+}
+
+/**
+ * Guesses the type of a parameter given without --param-type.
+ * Integers, floating point numbers, booleans, UUIDs, dates and timestamps are
+ * recognized; anything else (including numbers with leading zeros) is a string.
+ * @param {string} value - The raw value.
+ * @returns {string} One of PARAM_TYPES.
+ */
+export function inferParamType(value) {
+    if (/^-?(0|[1-9]\d*)$/.test(value) && Number.isSafeInteger(Number(value))) {
+        return 'LONG';
+    }
+    if (/^-?(0|[1-9]\d*)\.\d+$/.test(value)) {
+        return 'DOUBLE';
+    }
+    if (value === 'true' || value === 'false') {
+        return 'BOOLEAN';
+    }
+    if (UUID_PATTERN.test(value)) {
+        return 'UUID';
+    }
+    if (DATE_PATTERN.test(value)) {
+        return 'DATE';
+    }
+    if (TIMESTAMP_PATTERN.test(value)) {
+        return 'TIMESTAMP';
+    }
+    return 'STRING';
+}
+
+/**
+ * Builds a single Data API SqlParameter.
+ * @param {string} name - The parameter name.
+ * @param {string|undefined} value - The raw value (may be undefined for NULL).
+ * @param {string} type - One of PARAM_TYPES.
+ * @returns {{name: string, value: object, typeHint?: string}} The SqlParameter.
+ */
+export function buildParameter(name, value, type) {
+    const invalid = (expected) => new Error(`Invalid value "${value}" for parameter :${name} of type ${type}. Expected ${expected}.`);
+
+    switch (type) {
+        case 'NULL':
+            return { name, value: { isNull: true } };
+        case 'STRING':
+            return { name, value: { stringValue: value } };
+        case 'LONG':
+            if (!/^-?\d+$/.test(value) || !Number.isSafeInteger(Number(value))) {
+                throw invalid('an integer');
+            }
+            return { name, value: { longValue: Number(value) } };
+        case 'DOUBLE':
+            if (value.trim() === '' || !Number.isFinite(Number(value))) {
+                throw invalid('a number');
+            }
+            return { name, value: { doubleValue: Number(value) } };
+        case 'BOOLEAN':
+            if (!['true', 'false', '1', '0'].includes(value.toLowerCase())) {
+                throw invalid('true or false');
+            }
+            return { name, value: { booleanValue: value.toLowerCase() === 'true' || value === '1' } };
+        case 'BLOB':
+            return { name, value: { blobValue: value } };
+        case 'DATE':
+            if (!DATE_PATTERN.test(value)) {
+                throw invalid('YYYY-MM-DD');
+            }
+            return { name, value: { stringValue: value }, typeHint: 'DATE' };
+        case 'TIME':
+            if (!TIME_PATTERN.test(value)) {
+                throw invalid('HH:MM:SS[.FFF]');
+            }
+            return { name, value: { stringValue: value }, typeHint: 'TIME' };
+        case 'TIMESTAMP':
+            if (!TIMESTAMP_PATTERN.test(value)) {
+                throw invalid('YYYY-MM-DD HH:MM:SS[.FFF]');
+            }
+            // The Data API only accepts the space-separated form without a zone designator
+            return { name, value: { stringValue: value.replace('T', ' ').replace(/Z$/, '') }, typeHint: 'TIMESTAMP' };
+        case 'DECIMAL':
+            if (!DECIMAL_PATTERN.test(value)) {
+                throw invalid('a decimal number');
+            }
+            return { name, value: { stringValue: value }, typeHint: 'DECIMAL' };
+        case 'UUID':
+            if (!UUID_PATTERN.test(value)) {
+                throw invalid('a UUID');
+            }
+            return { name, value: { stringValue: value }, typeHint: 'UUID' };
+        case 'JSON':
+            try {
+                JSON.parse(value);
+            } catch (e) {
+                throw invalid('a JSON document');
+            }
+            return { name, value: { stringValue: value }, typeHint: 'JSON' };
+        default:
+            throw new Error(`Unknown parameter type "${type}" for :${name}. Supported types: ${PARAM_TYPES.join(', ')}.`);
+    }
+}
+
+/**
+ * Builds a Data API SqlParameter from a JavaScript value, picking the type from the value:
+ * integers are sent as LONG, other numbers as DOUBLE, bigints as DECIMAL, Buffers as BLOB,
+ * Dates as (UTC) TIMESTAMP and other objects as JSON documents.
+ * @param {string} name - The parameter name.
+ * @param {*} value - The value; null and undefined are sent as SQL NULL.
+ * @returns {{name: string, value: object, typeHint?: string}} The SqlParameter.
+ */
+function toSqlParameter(name, value) {
+    if (value === null || value === undefined) {
+        return { name, value: { isNull: true } };
+    }
+    switch (typeof value) {
+        case 'string':
+            return { name, value: { stringValue: value } };
+        case 'boolean':
+            return { name, value: { booleanValue: value } };
+        case 'bigint':
+            return { name, value: { stringValue: String(value) }, typeHint: 'DECIMAL' };
+        case 'number':
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid value ${value} for parameter :${name}. Expected a finite number.`);
+            }
+            return { name, value: Number.isSafeInteger(value) ? { longValue: value } : { doubleValue: value } };
+    }
+    if (value instanceof Uint8Array) {
+        return { name, value: { blobValue: Buffer.from(value).toString('base64') } };
+    }
+    if (value instanceof Date) {
+        if (Number.isNaN(value.getTime())) {
+            throw new Error(`Invalid date for parameter :${name}.`);
+        }
+        return buildParameter(name, value.toISOString(), 'TIMESTAMP');
+    }
+    if (typeof value === 'object') {
+        return { name, value: { stringValue: JSON.stringify(value) }, typeHint: 'JSON' };
+    }
+    throw new Error(`Unsupported value for parameter :${name} (${typeof value}).`);
+}
+
+/**
+ * Builds the Data API parameters from an object of JavaScript values, e.g. `{id: 5, email: 'a@b.c'}`.
+ * An array is taken as a ready-made SqlParameter list and returned as is.
+ * @param {object|Array<object>} [values={}] - The values by parameter name, or a SqlParameter list.
+ * @returns {Array<{name: string, value: object, typeHint?: string}>} The SqlParameter list.
+ */
+export function toSqlParameters(values = {}) {
+    if (Array.isArray(values)) {
+        return values;
+    }
+    return Object.entries(values).map(([name, value]) => toSqlParameter(name.replace(/^:/, ''), value));
+}
+
+/**
+ * Builds the Data API parameters from --param and --param-type arguments.
+ * A parameter whose type is NULL does not need a --param value.
+ * @param {string[]} [paramArgs=[]] - The --param values ("name=value").
+ * @param {string[]} [typeArgs=[]] - The --param-type values ("name=TYPE").
+ * @returns {Array<{name: string, value: object, typeHint?: string}>} The SqlParameter list, in --param order.
+ */
+export function buildParameters(paramArgs = [], typeArgs = []) {
+    const types = new Map();
+    for (const arg of typeArgs) {
+        const { name, value } = splitAssignment(arg, '--param-type');
+        const type = value.trim().toUpperCase();
+        if (!PARAM_TYPES.includes(type)) {
+            throw new Error(`Unknown parameter type "${value}" for :${name}. Supported types: ${PARAM_TYPES.join(', ')}.`);
+        }
+        types.set(name, type);
+    }
+
+    const values = new Map();
+    for (const arg of paramArgs) {
+        const { name, value } = splitAssignment(arg, '--param');
+        if (values.has(name)) {
+            throw new Error(`Parameter :${name} was given more than once.`);
+        }
+        values.set(name, value);
+    }
+
+    for (const [name, type] of types) {
+        if (!values.has(name)) {
+            if (type !== 'NULL') {
+                throw new Error(`Parameter :${name} has a --param-type but no --param value.`);
+            }
+            values.set(name, undefined);
+        }
+    }
+
+    return [...values].map(([name, value]) => buildParameter(name, value, types.get(name) ?? inferParamType(value)));
+}
+
+/**
+ * Finds the named `:placeholders` used in a SQL statement.
+ * String literals, quoted identifiers, dollar-quoted bodies, comments and
+ * Postgres `::type` casts are skipped.
+ * @param {string} sql - The SQL statement.
+ * @param {object} [options] - The options of tokenizeSql (the engine).
+ * @returns {string[]} The distinct placeholder names, in order of first appearance.
+ */
+export function findPlaceholders(sql, options) {
+    const names = [];
+
+    for (const segment of tokenizeSql(sql, options)) {
+        if (segment.type !== 'code') {
+            continue;
+        }
+        // The lookbehind skips the second colon of Postgres casts such as created_at::date
+        for (const [, name] of segment.text.matchAll(/(?<!:):([A-Za-z_][A-Za-z0-9_]*)/g)) {
+            if (!names.includes(name)) {
+                names.push(name);
+            }
+        }
+    }
+
+    return names;
+}
+
+/**
+ * Checks that the parameters and the SQL placeholders match exactly.
+ * @param {string} sql - The SQL statement.
+ * @param {Array<{name: string}>} parameters - The SqlParameter list.
+ * @param {object} [options] - The options of tokenizeSql (the engine).
+ * @throws {Error} If a placeholder has no value or a parameter is not used by the SQL.
+ */
+export function validateParameters(sql, parameters, options) {
+    const placeholders = findPlaceholders(sql, options);
+    const given = parameters.map(param => param.name);
+
+    const missing = placeholders.filter(name => !given.includes(name));
+    if (missing.length > 0) {
+        throw new Error(`Missing value for ${missing.map(name => `:${name}`).join(', ')}. Use --param name=value.`);
+    }
+
+    const unused = given.filter(name => !placeholders.includes(name));
+    if (unused.length > 0) {
+        throw new Error(`Parameter ${unused.map(name => `:${name}`).join(', ')} is not used in the SQL statement.`);
+    }
+}
+
+/**
+ * Adds the `--parameters` argument built from --param/--param-type to the AWS CLI arguments.
+ * Unless the raw --parameters JSON is given, every placeholder of the SQL must have a value,
+ * also when no named parameter was given.
+ * @param {string[]} awsArgs - The arguments forwarded to the AWS CLI (must include --sql).
+ * @param {{params?: string[], paramTypes?: string[], engine?: string}} options - The parsed tool options, with
+ * the engine of the cluster when it is known (for the quoting rules of the SQL).
+ * @returns {string[]} The AWS CLI arguments, with `--parameters <json>` appended when needed.
+ */
+export function applyParameters(awsArgs, { params = [], paramTypes = [], engine }) {
+    if (getArgValue(awsArgs, '--parameters') !== undefined) {
+        if (params.length > 0 || paramTypes.length > 0) {
+            throw new Error('Use either --param/--param-type or --parameters, not both.');
+        }
+        return awsArgs;
+    }
+
+    const parameters = buildParameters(params, paramTypes);
+    validateParameters(getArgValue(awsArgs, '--sql') ?? '', parameters, { engine });
+
+    return parameters.length > 0 ? [...awsArgs, '--parameters', JSON.stringify(parameters)] : awsArgs;
+}
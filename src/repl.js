@@ -0,0 +1,275 @@
+/**
+ * Interactive session: a psql-like prompt that keeps the connection arguments
+ * between statements, accepts multi-line SQL terminated by `;` and understands a
+ * few backslash meta-commands.
+ */
+
+import readline from 'readline';
+import { readFile, appendFile } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { FORMATS } from './formatters.js';
+import { getTarget, applyTarget } from './config.js';
+import { splitStatements, hasSqlContent, tokenizeSql } from './sql.js';
+import { removeArgs } from './options.js';
+import { detectEngine } from './explain.js';
+import { runCatalogCommand } from './catalog.js';
+
+/**
+ * Default location of the history file.
+ * @type {string}
+ */
+export const HISTORY_FILE = path.join(os.homedir(), '.rds-pretty-query_history');
+
+// Number of history lines loaded at startup
+const HISTORY_SIZE = 500;
+
+const HELP = `Meta-commands:
+  \\format [name]   Show or set the output format (${FORMATS.join(', ')})
+  \\timing          Toggle display of the execution time of each statement
+  \\x [on|off|auto] Toggle or set the vertical display of records
+  \\target [name]   Show or switch the connection target
+  \\l               List the databases
+  \\dt              List the tables
+  \\d [table]       Describe a table (list the tables without one)
+  \\di <table>      List the indexes of a table
+  \\c               Clear the statement being typed
+  \\?               Show this help
+  \\q               Quit
+Statements are executed when terminated by ";".`;
+
+/**
+ * Loads the most recent history lines.
+ * @param {string} file - The history file.
+ * @returns {Promise<string[]>} The history, most recent first (as readline expects it).
+ */
+async function loadHistory(file) {
+    try {
+        const lines = (await readFile(file, 'utf8')).split('\n').filter(line => line.trim() !== '');
+        return lines.slice(-HISTORY_SIZE).reverse();
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Appends a line to the history file. Failures (e.g. a read-only home directory)
+ * are ignored: history is a convenience and must not break the session.
+ * @param {string} file - The history file.
+ * @param {string} line - The line entered by the user.
+ * @returns {Promise<void>}
+ */
+async function saveHistory(file, line) {
+    try {
+        await appendFile(file, `${line}\n`);
+    } catch (e) {
+        // Ignore
+    }
+}
+
+/**
+ * Starts an interactive session and resolves when the user quits (`\q` or end of input).
+ *
+ * @param {object} settings
+ * @param {function(string[], object): Promise<object>} settings.execute - Runs a statement given the AWS CLI arguments
+ * (e.g. executeAwsStatement bound to the real spawn function, behind guardExecute). It also receives
+ * `{confirm, readOnly}`: a function asking a yes/no question on the session prompt, and the readOnly
+ * setting of the current target.
+ * @param {function(object, object): void} settings.display - Displays a statement output (e.g. displayResults).
+ * @param {string[]} [settings.awsArgs=[]] - The connection arguments given on the command line.
+ * @param {{targets: Object<string, object>}} [settings.config] - The loaded configuration, for `\target`.
+ * @param {string} [settings.target] - The name of the initial target.
+ * @param {string} [settings.format='table'] - The initial output format.
+ * @param {boolean|string} [settings.vertical='auto'] - The initial vertical mode (true, false or "auto").
+ * @param {string} [settings.engine] - The database engine, for the catalog meta-commands. When neither this
+ * nor the target's `engine` is set, it is detected once per target. The SQL typed is split with the quoting
+ * rules of the engine, once known (Postgres ones until then).
+ * @param {NodeJS.ReadableStream} [settings.input=process.stdin] - Where the user types.
+ * @param {NodeJS.WritableStream} [settings.output=process.stdout] - Where prompts and messages are written.
+ * @param {string|null} [settings.historyFile=HISTORY_FILE] - The history file, or null to disable history.
+ * @returns {Promise<void>}
+ */
+export async function startRepl({
+    execute,
+    display,
+    awsArgs = [],
+    config = { targets: {} },
+    target,
+    format = 'table',
+    vertical = 'auto',
+    engine,
+    input = process.stdin,
+    output = process.stdout,
+    historyFile = HISTORY_FILE
+}) {
+    const state = { target, format, vertical, timing: false, buffer: '' };
+    // Engines detected so far, by target name ("" without target)
+    const engines = new Map();
+    const print = (text) => output.write(`${text}\n`);
+
+    const rl = readline.createInterface({
+        input,
+        output,
+        terminal: Boolean(output.isTTY),
+        history: historyFile ? await loadHistory(historyFile) : [],
+        historySize: HISTORY_SIZE
+    });
+
+    const connectionArgs = () => (state.target ? applyTarget(getTarget(config, state.target), awsArgs) : awsArgs);
+    // The engine whose quoting rules apply to the SQL typed: only a known one, it is not detected for that
+    const sqlOptions = () => ({
+        engine: engines.get(state.target ?? '') || (state.target && getTarget(config, state.target).engine) || engine
+    });
+    const prompt = () => {
+        const name = state.target ?? 'rds';
+        rl.setPrompt(hasSqlContent(state.buffer, sqlOptions()) ? `${name}-> ` : `${name}=> `);
+        rl.prompt();
+    };
+
+    /**
+     * Runs a catalog command (see catalog.js) on the current target and displays its output.
+     * @param {string} command - "databases", "tables", "describe" or "indexes".
+     * @param {string} [table] - The table, for "describe" and "indexes".
+     * @returns {Promise<void>}
+     */
+    const runCatalog = async (command, table) => {
+        try {
+            const args = removeArgs(connectionArgs(), ['--sql', '--parameters']);
+            const name = state.target ?? '';
+            if (!engines.has(name)) {
+                engines.set(name, (state.target && getTarget(config, state.target).engine) || engine || await detectEngine(execute, args));
+            }
+            const result = await runCatalogCommand(execute, args, { engine: engines.get(name), command, table });
+            display(result, { format: state.format, timing: state.timing, vertical: state.vertical });
+        } catch (error) {
+            print(`❌ ${error.message}`);
+        }
+    };
+
+    /**
+     * Handles a backslash meta-command.
+     * @param {string} line - The command line, starting with a backslash.
+     * @returns {Promise<boolean>} False when the session should end.
+     */
+    const runMetaCommand = async (line) => {
+        const [command, argument] = line.trim().split(/\s+/);
+        switch (command) {
+            case '\\q':
+                return false;
+            case '\\?':
+                print(HELP);
+                break;
+            case '\\c':
+                state.buffer = '';
+                print('Statement cleared.');
+                break;
+            case '\\timing':
+                state.timing = !state.timing;
+                print(`Timing is ${state.timing ? 'on' : 'off'}.`);
+                break;
+            case '\\x': {
+                const modes = { on: true, off: false, auto: 'auto' };
+                if (argument && !Object.prototype.hasOwnProperty.call(modes, argument)) {
+                    print(`❌ Unknown vertical mode "${argument}". Use on, off or auto.`);
+                    break;
+                }
+                state.vertical = argument ? modes[argument] : state.vertical !== true;
+                print(`Vertical display is ${state.vertical === 'auto' ? 'auto' : state.vertical ? 'on' : 'off'}.`);
+                break;
+            }
+            case '\\format':
+                if (argument && !FORMATS.includes(argument)) {
+                    print(`❌ Unknown output format "${argument}". Supported formats: ${FORMATS.join(', ')}.`);
+                } else {
+                    state.format = argument ?? state.format;
+                    print(`Output format is ${state.format}.`);
+                }
+                break;
+            case '\\l':
+                await runCatalog('databases');
+                break;
+            case '\\dt':
+                await runCatalog('tables');
+                break;
+            case '\\d':
+                await runCatalog(argument ? 'describe' : 'tables', argument);
+                break;
+            case '\\di':
+                if (argument) {
+                    await runCatalog('indexes', argument);
+                } else {
+                    print('❌ Usage: \\di <table>');
+                }
+                break;
+            case '\\target':
+                if (argument) {
+                    try {
+                        getTarget(config, argument);
+                        state.target = argument;
+                    } catch (error) {
+                        print(`❌ ${error.message}`);
+                        break;
+                    }
+                }
+                print(state.target ? `Using target "${state.target}".` : 'No target selected.');
+                break;
+            default:
+                print(`❌ Unknown meta-command "${command}". Type \\? for help.`);
+        }
+        return true;
+    };
+
+    // Lines are read through a single iterator, shared by the main loop and confirmations
+    const lines = rl[Symbol.asyncIterator]();
+
+    /**
+     * Asks a yes/no question and reads the answer from the next input line.
+     * @param {string} question - The question.
+     * @returns {Promise<boolean>} True when the answer is "yes" (or "y").
+     */
+    const confirm = async (question) => {
+        output.write(question);
+        const { value, done } = await lines.next();
+        return !done && /^y(es)?$/i.test(value.trim());
+    };
+
+    /**
+     * Executes one complete statement and displays its output.
+     * @param {string} statement - The SQL statement, without the terminating semicolon.
+     * @returns {Promise<void>}
+     */
+    const runStatement = async (statement) => {
+        try {
+            const readOnly = Boolean(state.target && getTarget(config, state.target).readOnly);
+            const result = await execute([...connectionArgs(), '--sql', statement], { confirm, readOnly, ...sqlOptions() });
+            display(result, { format: state.format, timing: state.timing, vertical: state.vertical });
+        } catch (error) {
+            print(`❌ ${error.message}`);
+        }
+    };
+
+    prompt();
+    for (let next = await lines.next(); !next.done; next = await lines.next()) {
+        const line = next.value;
+        if (historyFile && line.trim() !== '') {
+            await saveHistory(historyFile, line);
+        }
+
+        // Like in psql, meta-commands work in the middle of a statement (e.g. \c to clear it),
+        // except inside a literal or comment that spans lines
+        if (line.trim().startsWith('\\') && !tokenizeSql(state.buffer, sqlOptions()).pop()?.unterminated) {
+            if (!await runMetaCommand(line)) {
+                break;
+            }
+        } else {
+            const { statements, remainder } = splitStatements(`${state.buffer}${line}\n`, sqlOptions());
+            state.buffer = remainder.trim() === '' ? '' : remainder;
+            for (const statement of statements) {
+                await runStatement(statement);
+            }
+        }
+        prompt();
+    }
+
+    rl.close();
+}
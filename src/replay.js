@@ -0,0 +1,177 @@
+/**
+ * Recording and replay of AWS CLI calls.
+ *
+ * Every AWS call goes through an injectable spawn function, so recording and replaying
+ * are just spawn wrappers: with --record each `aws rds-data` call is run for real and
+ * saved, request and response, to a fixture file; with --replay the saved response is
+ * played back by a fake child process and AWS is never called. This gives reproducible
+ * demos and lets output formatting be worked on offline.
+ *
+ * Fixtures are named after the command and a hash of its arguments
+ * (e.g. `execute-statement-3f2a9c1b7d04.json`). A request made several times in the
+ * same recording keeps every response, and they are replayed in the same order.
+ * Fixtures are meant to be shared, so the secret name and the account id of the ARNs
+ * are masked, both in the saved request and in the hash.
+ */
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import path from 'path';
+import { GLOBAL_FLAGS } from './aws.js';
+import { maskSecretArgs } from './guard.js';
+import { getArgValue, removeArgs } from './options.js';
+
+// The ARN arguments whose account id is masked
+const ARN_FLAGS = ['--resource-arn', '--secret-arn'];
+
+/**
+ * Masks the secret name (as --dry-run does) and the account id of the ARNs in AWS CLI arguments.
+ * @param {string[]} cliArgs - The AWS CLI arguments.
+ * @returns {string[]} A copy of the arguments, safe to save in a fixture.
+ */
+function maskArgs(cliArgs) {
+    const maskAccount = arn => arn.replace(/^(arn:[^:]*:[^:]*:[^:]*:)\d{12}(?=:)/, '$1************');
+    return maskSecretArgs(cliArgs).map((arg, i, args) => {
+        if (ARN_FLAGS.includes(args[i - 1])) {
+            return maskAccount(arg);
+        }
+        const flag = ARN_FLAGS.find(name => arg.startsWith(`${name}=`));
+        return flag ? `${flag}=${maskAccount(arg.slice(flag.length + 1))}` : arg;
+    });
+}
+
+/**
+ * Returns the fixture file name of an AWS CLI call. Global options (profile, region,
+ * endpoint) do not change the response and are left out of the hash, so a recording
+ * can be replayed with other credentials; the ARNs are hashed masked (see maskArgs).
+ * @param {string[]} cliArgs - The AWS CLI arguments, e.g. ["rds-data", "execute-statement", "--sql", ...].
+ * @returns {string} The fixture file name.
+ */
+export function fixtureName(cliArgs) {
+    const [, command = 'command'] = cliArgs;
+    const hash = createHash('sha256').update(JSON.stringify(removeArgs(maskArgs(cliArgs), GLOBAL_FLAGS))).digest('hex');
+    return `${command}-${hash.slice(0, 12)}.json`;
+}
+
+/**
+ * Parses a JSON argument for the fixture, keeping the raw text if it is not valid JSON.
+ * @param {string|undefined} text - The argument value.
+ * @returns {*} The parsed value, the raw text, or undefined when absent.
+ */
+function parseJsonArg(text) {
+    if (text === undefined) {
+        return undefined;
+    }
+    try {
+        return JSON.parse(text);
+    } catch (e) {
+        return text;
+    }
+}
+
+/**
+ * Builds the response part of a fixture. Valid JSON output is stored parsed so the
+ * fixture stays readable (and editable); anything else is stored as raw text.
+ * @param {string} stdout - The standard output of the call.
+ * @param {string} stderr - The standard error of the call.
+ * @param {number} code - The exit code.
+ * @returns {{code: number, output?: *, stdout?: string, stderr?: string}} The recorded response.
+ */
+function recordResponse(stdout, stderr, code) {
+    const response = { code };
+    try {
+        response.output = stdout.trim() ? JSON.parse(stdout) : null;
+    } catch (e) {
+        response.stdout = stdout;
+    }
+    if (stderr) {
+        response.stderr = stderr;
+    }
+    return response;
+}
+
+/**
+ * Wraps a spawn function so that every AWS CLI call is saved to a fixture file in `dir`.
+ * The fixture is written synchronously when the process closes, before the caller sees
+ * the result, so nothing is lost when the tool exits right after.
+ * @param {function} spawnFunc - The spawn function running the real AWS CLI.
+ * @param {string} dir - The fixture directory (created if needed).
+ * @returns {function} A spawn function with the same signature.
+ */
+export function createRecordingSpawn(spawnFunc, dir) {
+    mkdirSync(dir, { recursive: true });
+    // Fixtures written by this recording: a repeated request adds a response instead of replacing the file
+    const recorded = new Map();
+
+    return (command, cliArgs, options) => {
+        const child = spawnFunc(command, cliArgs, options);
+        let stdout = '';
+        let stderr = '';
+        child.stdout.on('data', data => { stdout += data.toString(); });
+        child.stderr.on('data', data => { stderr += data.toString(); });
+        child.on('close', code => {
+            const name = fixtureName(cliArgs);
+            const args = maskArgs(cliArgs).slice(2);
+            const fixture = recorded.get(name) ?? {
+                request: {
+                    command: cliArgs[1],
+                    args,
+                    sql: getArgValue(args, '--sql'),
+                    parameters: parseJsonArg(getArgValue(args, '--parameters')),
+                    parameterSets: parseJsonArg(getArgValue(args, '--parameter-sets'))
+                },
+                responses: []
+            };
+            fixture.responses.push(recordResponse(stdout, stderr, code));
+            recorded.set(name, fixture);
+            writeFileSync(path.join(dir, name), `${JSON.stringify(fixture, null, 2)}\n`);
+        });
+        return child;
+    };
+}
+
+/**
+ * Creates a spawn function that plays back the fixtures recorded in `dir` instead of
+ * running the AWS CLI. Each call to the same request gets the next recorded response,
+ * the last one being repeated. A request without a fixture fails like a CLI error.
+ * @param {string} dir - The fixture directory.
+ * @returns {function} A spawn function returning fake child processes.
+ */
+export function createReplaySpawn(dir) {
+    // Number of times each fixture has been played
+    const played = new Map();
+
+    return (command, cliArgs) => {
+        const name = fixtureName(cliArgs);
+        let response;
+        try {
+            const { responses } = JSON.parse(readFileSync(path.join(dir, name), 'utf8'));
+            const count = played.get(name) ?? 0;
+            played.set(name, count + 1);
+            response = responses[Math.min(count, responses.length - 1)];
+        } catch (error) {
+            const sql = getArgValue(cliArgs, '--sql');
+            response = {
+                code: 1,
+                stderr: `No recorded response for this ${cliArgs[1]} call${sql ? ` (${sql})` : ''}: ${error.code === 'ENOENT' ? `${name} not found in ${dir}` : error.message}. Record it first with --record.`
+            };
+        }
+
+        // Fake child process emitting the recorded output asynchronously, like a real one
+        const child = new EventEmitter();
+        child.stdout = new EventEmitter();
+        child.stderr = new EventEmitter();
+        setImmediate(() => {
+            const stdout = response.stdout ?? (response.output == null ? '' : JSON.stringify(response.output));
+            if (stdout) {
+                child.stdout.emit('data', stdout);
+            }
+            if (response.stderr) {
+                child.stderr.emit('data', response.stderr);
+            }
+            child.emit('close', response.code ?? 0);
+        });
+        return child;
+    };
+}
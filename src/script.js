@@ -0,0 +1,118 @@
+/**
+ * Execution of SQL script files, statement by statement, optionally inside a
+ * Data API transaction that is rolled back on the first failure.
+ */
+
+import { executeAwsStatement, beginTransaction, commitTransaction, rollbackTransaction } from './aws.js';
+import { splitStatements, hasSqlContent, previewStatement } from './sql.js';
+
+/**
+ * Splits the content of a script file into statements.
+ * The last statement does not need a terminating semicolon.
+ * @param {string} text - The script content.
+ * @param {object} [options] - The options of tokenizeSql (the engine, whose quoting rules apply).
+ * @returns {{statements: string[], lines: number[]}} The statements and the line each one starts on.
+ */
+export function parseScript(text, options) {
+    const { statements, lines, remainder } = splitStatements(text, options);
+    if (hasSqlContent(remainder, options)) {
+        const leading = remainder.length - remainder.trimStart().length;
+        statements.push(remainder.trim());
+        lines.push(text.slice(0, text.length - remainder.length + leading).split('\n').length);
+    }
+    return { statements, lines };
+}
+
+/**
+ * Describes what a statement did, for progress messages.
+ * @param {object} output - The output of executeAwsStatement.
+ * @returns {string} E.g. "3 rows affected, 120 ms" or "2 rows returned, 85 ms".
+ */
+function describeOutcome(output) {
+    const time = typeof output.elapsedMs === 'number' ? `, ${output.elapsedMs} ms` : '';
+    if (output.results) {
+        const count = output.results.records.length;
+        return `${count} row${count === 1 ? '' : 's'} returned${time}`;
+    }
+    const count = output.numberOfRecordsUpdated ?? 0;
+    return `${count} row${count === 1 ? '' : 's'} affected${time}`;
+}
+
+/**
+ * Runs the statements of a script in order and stops at the first failure.
+ *
+ * With `transaction` set, the statements run inside a single Data API transaction
+ * (begin-transaction / --transaction-id / commit-transaction) which is rolled back
+ * when a statement fails, so the script is applied entirely or not at all.
+ *
+ * @param {function} spawnFunc - The spawn function used for every AWS CLI call.
+ * @param {object} script
+ * @param {string[]} script.statements - The statements to run.
+ * @param {number[]} [script.lines] - The line each statement starts on, for progress and error messages.
+ * @param {string[]} script.connectionArgs - The AWS CLI connection arguments (--resource-arn, --secret-arn, ...).
+ * @param {boolean} [script.transaction=false] - Whether to wrap the statements in a transaction.
+ * @param {boolean} [script.dryRun=false] - Whether spawnFunc only prints the AWS CLI commands (--dry-run),
+ * in which case no outcome is reported, since nothing was executed.
+ * @param {function(string): void} [script.print=console.log] - Where progress lines are written.
+ * @returns {Promise<{executed: number, rowsAffected: number}>} A summary of the run.
+ * @throws {Error} Identifying the failed statement, after the transaction (if any) was rolled back,
+ * with the exit code of the failure (if any) and the failure itself as its `cause`.
+ */
+export async function runScript(spawnFunc, { statements, lines = [], connectionArgs, transaction = false, dryRun = false, print = console.log }) {
+    const total = statements.length;
+    const summary = { executed: 0, rowsAffected: 0 };
+    const transactionId = transaction ? await beginTransaction(spawnFunc, connectionArgs) : null;
+
+    if (transactionId && !dryRun) {
+        print(`🔒 Transaction ${transactionId} started.`);
+    }
+
+    for (const [i, statement] of statements.entries()) {
+        const label = `[${i + 1}/${total}]${lines[i] ? ` line ${lines[i]}` : ''}`;
+        const args = [...connectionArgs, '--sql', statement];
+        if (transactionId) {
+            args.push('--transaction-id', transactionId);
+        }
+
+        let output;
+        try {
+            output = await executeAwsStatement(spawnFunc, args);
+        } catch (error) {
+            print(`❌ ${label}: ${previewStatement(statement)}`);
+            let outcome = '';
+            if (transactionId) {
+                try {
+                    await rollbackTransaction(spawnFunc, connectionArgs, transactionId);
+                    outcome = '\nTransaction rolled back: no statement of the script was applied.';
+                } catch (rollbackError) {
+                    outcome = `\nRollback failed, the transaction will expire on its own: ${rollbackError.message}`;
+                }
+            } else if (summary.executed > 0) {
+                outcome = `\nThe ${summary.executed} statement(s) before it were applied.`;
+            }
+            // Set by hand rather than with the `cause` option, which Node 14 ignores
+            const failure = new Error(`Statement ${i + 1} of ${total}${lines[i] ? ` (line ${lines[i]})` : ''} failed: ${previewStatement(statement)}\n${error.message}${outcome}`);
+            failure.cause = error;
+            failure.exitCode = error.exitCode;
+            throw failure;
+        }
+
+        if (dryRun) {
+            continue;
+        }
+        summary.executed++;
+        summary.rowsAffected += output.numberOfRecordsUpdated ?? 0;
+        print(`✅ ${label}: ${previewStatement(statement)} (${describeOutcome(output)})`);
+    }
+
+    if (transactionId) {
+        await commitTransaction(spawnFunc, connectionArgs, transactionId);
+    }
+
+    if (dryRun) {
+        print(`\n📋 Dry run: ${total} statement${total === 1 ? '' : 's'}${transactionId ? ' in a transaction' : ''}, nothing was executed.`);
+        return summary;
+    }
+    print(`\n📋 ${summary.executed} statement${summary.executed === 1 ? '' : 's'} executed, ${summary.rowsAffected} row${summary.rowsAffected === 1 ? '' : 's'} affected${transactionId ? ', transaction committed' : ''}.`);
+    return summary;
+}
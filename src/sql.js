@@ -0,0 +1,159 @@
+/**
+ * Lightweight SQL lexing shared by the features that need to look inside statements
+ * (placeholders, statement splitting) without being fooled by literals or comments.
+ * The rules of Postgres are used by default: standard strings where a backslash is an
+ * ordinary character, E'...' escape strings and dollar-quoted bodies. With the `mysql`
+ * engine, backslashes escape characters in '...' and "..." strings and `#` starts a
+ * comment instead.
+ */
+
+const DOLLAR_TAG = /^\$([A-Za-z_][A-Za-z0-9_]*)?\$/;
+
+// Maximum length of the statement previews shown in messages
+const PREVIEW_LENGTH = 60;
+
+/**
+ * Finds where a quoted section starting at `start` ends.
+ * A doubled quote character is an escaped quote; in Postgres E'...' strings a
+ * backslash escapes the next character.
+ * @param {string} sql - The SQL text.
+ * @param {number} start - The index of the opening quote.
+ * @param {boolean} backslashEscapes - Whether backslashes escape characters.
+ * @returns {number} The index just after the closing quote, or -1 if unterminated.
+ */
+function endOfQuoted(sql, start, backslashEscapes) {
+    const quote = sql[start];
+    let i = start + 1;
+    while (i < sql.length) {
+        if (backslashEscapes && sql[i] === '\\') {
+            i += 2;
+        } else if (sql[i] === quote) {
+            if (sql[i + 1] !== quote) {
+                return i + 1;
+            }
+            i += 2;
+        } else {
+            i++;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Splits SQL text into segments of code, string literals, quoted identifiers,
+ * dollar-quoted bodies and comments.
+ *
+ * @param {string} sql - The SQL text.
+ * @param {object} [options]
+ * @param {string} [options.engine='postgres'] - "postgres" or "mysql", whose quoting and comment rules apply.
+ * @returns {Array<{type: string, text: string, start: number, unterminated?: boolean}>} The segments, covering the whole text.
+ * `type` is one of "code", "string", "identifier", "dollar" or "comment"; `unterminated`
+ * is set when the text ends inside a literal or comment.
+ */
+export function tokenizeSql(sql, { engine = 'postgres' } = {}) {
+    const mysql = engine === 'mysql';
+    const segments = [];
+    let codeStart = 0;
+    let i = 0;
+
+    const push = (type, start, end) => {
+        if (codeStart < start) {
+            segments.push({ type: 'code', text: sql.slice(codeStart, start), start: codeStart });
+        }
+        const segment = { type, text: sql.slice(start, end === -1 ? sql.length : end), start };
+        if (end === -1) {
+            segment.unterminated = true;
+        }
+        segments.push(segment);
+        codeStart = end === -1 ? sql.length : end;
+        return codeStart;
+    };
+
+    while (i < sql.length) {
+        const char = sql[i];
+        const next = sql[i + 1];
+
+        if (char === "'" || (mysql && char === '"')) {
+            // MySQL strings and E'...' (Postgres escape string syntax) honour backslash escapes
+            const escaped = mysql || (i > 0 && /[eE]/.test(sql[i - 1]) && !/[A-Za-z0-9_]/.test(sql[i - 2] ?? ''));
+            i = push('string', i, endOfQuoted(sql, i, escaped));
+        } else if (char === '"' || char === '`') {
+            i = push('identifier', i, endOfQuoted(sql, i, false));
+        } else if ((char === '-' && next === '-') || (mysql && char === '#')) {
+            const end = sql.indexOf('\n', i);
+            i = push('comment', i, end === -1 ? sql.length : end + 1);
+        } else if (char === '/' && next === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = push('comment', i, end === -1 ? -1 : end + 2);
+        } else if (!mysql && char === '$' && DOLLAR_TAG.test(sql.slice(i)) && !/[A-Za-z0-9_]/.test(sql[i - 1] ?? '')) {
+            const [tag] = DOLLAR_TAG.exec(sql.slice(i));
+            const end = sql.indexOf(tag, i + tag.length);
+            i = push('dollar', i, end === -1 ? -1 : end + tag.length);
+        } else {
+            i++;
+        }
+    }
+
+    if (codeStart < sql.length) {
+        segments.push({ type: 'code', text: sql.slice(codeStart), start: codeStart });
+    }
+    return segments;
+}
+
+/**
+ * Tells whether a piece of SQL contains anything besides whitespace and comments.
+ * @param {string} sql - The SQL text.
+ * @param {object} [options] - The options of tokenizeSql (the engine).
+ * @returns {boolean} True if the text holds an actual statement.
+ */
+export function hasSqlContent(sql, options) {
+    return tokenizeSql(sql, options).some(segment => segment.type !== 'comment' && segment.text.trim() !== '');
+}
+
+/**
+ * Splits SQL text into statements terminated by `;`.
+ * Semicolons inside literals, quoted identifiers, dollar-quoted bodies (e.g. Postgres
+ * function definitions) and comments do not end a statement.
+ *
+ * @param {string} sql - The SQL text, possibly holding several statements.
+ * @param {object} [options] - The options of tokenizeSql (the engine).
+ * @returns {{statements: string[], lines: number[], remainder: string}} The complete statements (trimmed,
+ * without the terminating semicolon, comment-only pieces dropped), the 1-based line each of them
+ * starts on, and the text following the last semicolon, which is an unterminated statement when
+ * it has SQL content.
+ */
+export function splitStatements(sql, options) {
+    const statements = [];
+    const lines = [];
+    let statementStart = 0;
+
+    for (const segment of tokenizeSql(sql, options)) {
+        if (segment.type !== 'code') {
+            continue;
+        }
+        let index = segment.text.indexOf(';');
+        while (index !== -1) {
+            const end = segment.start + index;
+            const raw = sql.slice(statementStart, end);
+            if (hasSqlContent(raw, options)) {
+                const leading = raw.length - raw.trimStart().length;
+                statements.push(raw.trim());
+                lines.push(sql.slice(0, statementStart + leading).split('\n').length);
+            }
+            statementStart = end + 1;
+            index = segment.text.indexOf(';', index + 1);
+        }
+    }
+
+    return { statements, lines, remainder: sql.slice(statementStart) };
+}
+
+/**
+ * Shortens a statement to a single line for progress and error messages.
+ * @param {string} sql - The statement.
+ * @returns {string} The preview, at most PREVIEW_LENGTH characters long.
+ */
+export function previewStatement(sql) {
+    const line = sql.trim().replace(/\s+/g, ' ');
+    return line.length > PREVIEW_LENGTH ? `${line.slice(0, PREVIEW_LENGTH - 1)}…` : line;
+}
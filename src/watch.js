@@ -0,0 +1,131 @@
+/**
+ * Watch mode: a query re-run on an interval, like `watch`, but aware of the results.
+ *
+ * On a terminal the table is redrawn in place and the cells that changed since the
+ * previous run are highlighted. Rows are compared by position, or by key columns
+ * (--key) when rows may move, e.g. in a queue ordered by date. The loop ends when the
+ * number of rows drops to a threshold (--until-empty, --until-rows) or with Ctrl-C.
+ */
+
+import { decodeResult, formatValue } from './decode.js';
+import { formatResults, formatTable } from './formatters.js';
+
+// Moves the cursor to the top left corner and clears the screen
+const CLEAR_SCREEN = '\x1b[H\x1b[J';
+
+// Terminal colors of the changed cells and of the rows that were not there before
+const CHANGED = '\x1b[7m';
+const ADDED = '\x1b[32m';
+const RESET = '\x1b[0m';
+
+/**
+ * Finds what changed in a result since the previous run.
+ * @param {{ids: string[], text: string[][]}|null} previous - The previous run (null on the first one).
+ * @param {{ids: string[], text: string[][]}} current - The current run.
+ * @returns {Array<Set<number>|string|null>} For each row: "added" when the row is new, the indexes of
+ * its changed cells, or null when nothing changed (or on the first run).
+ */
+function findChanges(previous, current) {
+    if (!previous) {
+        return current.text.map(() => null);
+    }
+    const before = new Map(previous.ids.map((id, r) => [id, previous.text[r]]));
+    return current.text.map((row, r) => {
+        const old = before.get(current.ids[r]);
+        if (!old) {
+            return 'added';
+        }
+        const cells = new Set(row.map((text, i) => i).filter(i => row[i] !== old[i]));
+        return cells.size > 0 ? cells : null;
+    });
+}
+
+/**
+ * Formats the status line of a run, e.g. "🔁 Every 5 s · 10:42:07 · 12 rows (-3)".
+ * @param {number} interval - The interval, in seconds.
+ * @param {Date} time - The time of the run.
+ * @param {number} rows - The number of rows.
+ * @param {number|null} previousRows - The number of rows of the previous run (null on the first one).
+ * @returns {string} The status line.
+ */
+function statusLine(interval, time, rows, previousRows) {
+    const delta = previousRows === null ? '' : ` (${rows >= previousRows ? '+' : ''}${rows - previousRows})`;
+    return `🔁 Every ${interval} s · ${time.toTimeString().slice(0, 8)} · ${rows} row${rows === 1 ? '' : 's'}${delta}`;
+}
+
+/**
+ * Re-runs a query on an interval and writes its results after each run.
+ * @param {function(string[]): Promise<object>} execute - Runs a statement given the AWS CLI arguments.
+ * @param {string[]} args - The AWS CLI arguments of the query.
+ * @param {object} options
+ * @param {number} options.interval - The time between two runs, in seconds.
+ * @param {string[]} [options.key=[]] - The columns identifying a row; rows are compared by position without them.
+ * @param {number} [options.untilRows] - Stop once the query returns at most this number of rows (0 for --until-empty).
+ * @param {string} [options.format='table'] - The output format. Changes are only highlighted in the table format.
+ * @param {object} [options.formatOptions] - The options of the format (see formatResults), e.g. the layout
+ * of the table format.
+ * @param {boolean} [options.redraw=false] - Whether to clear the screen before each run (on a terminal).
+ * @param {boolean} [options.color=false] - Whether to highlight the changes with terminal colors.
+ * @param {function(string): void} [options.write] - Where the output is written (defaults to stdout).
+ * @param {function(string): void} [options.status] - Where the status lines of the other formats are written
+ * (defaults to stderr); in the table format they are written with the table.
+ * @param {function(number): Promise<void>} [options.sleep] - Waits for a number of milliseconds.
+ * @param {function(): Date} [options.now] - Returns the current time.
+ * @returns {Promise<{runs: number, rows: number}>} The number of runs and of rows of the last run, once the
+ * stop condition is met.
+ */
+export async function runWatch(execute, args, {
+    interval,
+    key = [],
+    untilRows,
+    format = 'table',
+    formatOptions = {},
+    redraw = false,
+    color = false,
+    write = text => process.stdout.write(text),
+    status = text => console.error(text),
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    now = () => new Date()
+}) {
+    let previous = null;
+    for (let runs = 1; ; runs++) {
+        const output = await execute(args);
+        if (!output.results) {
+            throw new Error('--watch needs a query returning rows.');
+        }
+        const decoded = decodeResult(output.results);
+        const names = decoded.columns.map(col => col.name);
+        const keyIndexes = key.map(name => {
+            if (!names.includes(name)) {
+                throw new Error(`The key column ${name} is not part of the query results.`);
+            }
+            return names.indexOf(name);
+        });
+        const text = decoded.rows.map(row => row.map((value, i) => formatValue(value, decoded.columns[i])));
+        const current = {
+            text,
+            ids: text.map((row, r) => (key.length > 0 ? JSON.stringify(keyIndexes.map(i => row[i])) : String(r)))
+        };
+
+        const line = statusLine(interval, now(), decoded.rows.length, previous && previous.text.length);
+        if (format === 'table') {
+            const changes = findChanges(previous, current);
+            const style = (cell, r, i) => {
+                if (changes[r] === 'added') {
+                    return `${ADDED}${cell}${RESET}`;
+                }
+                return changes[r]?.has(i) ? `${CHANGED}${cell}${RESET}` : cell;
+            };
+            write(`${redraw ? CLEAR_SCREEN : '\n'}${line}\n\n${formatTable(decoded, { ...formatOptions, style: color ? style : undefined })}\n`);
+        } else {
+            status(line);
+            write(`${formatResults(decoded, format, formatOptions)}\n`);
+        }
+
+        if (untilRows !== undefined && decoded.rows.length <= untilRows) {
+            return { runs, rows: decoded.rows.length };
+        }
+        previous = current;
+        await sleep(interval * 1000);
+    }
+}
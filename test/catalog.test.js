@@ -0,0 +1,60 @@
+// test/catalog.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { buildCatalogQuery, runCatalogCommand } from '../src/catalog.js';
+import { parseCliArgs } from '../src/options.js';
+
+
+// --- Test Cases for schema introspection ---
+
+test('should query the catalog of each engine', () => {
+  assert.match(buildCatalogQuery('postgres', 'databases').sql, /FROM pg_database/);
+  assert.match(buildCatalogQuery('mysql', 'tables').sql, /FROM information_schema\.tables/);
+  assert.deepStrictEqual(buildCatalogQuery('postgres', 'tables').parameters, []);
+  assert.throws(() => buildCatalogQuery('oracle', 'tables'), /Unknown catalog command "tables" for engine "oracle"/);
+  assert.throws(() => buildCatalogQuery('mysql', 'describe'), /A table name is needed/);
+});
+
+test('should pass table names as parameters', () => {
+  const postgres = buildCatalogQuery('postgres', 'describe', 'app.users');
+  assert.match(postgres.sql, /to_regclass\(:table\)/);
+  assert.deepStrictEqual(postgres.parameters, [{ name: 'table', value: { stringValue: 'app.users' } }]);
+
+  assert.deepStrictEqual(buildCatalogQuery('mysql', 'indexes', '`app`.`users`').parameters, [
+    { name: 'schema', value: { stringValue: 'app' } },
+    { name: 'table', value: { stringValue: 'users' } }
+  ]);
+  assert.deepStrictEqual(buildCatalogQuery('mysql', 'describe', 'users').parameters, [
+    { name: 'schema', value: { isNull: true } },
+    { name: 'table', value: { stringValue: 'users' } }
+  ]);
+});
+
+test('should run catalog commands and report unknown tables', async () => {
+  const calls = [];
+  const execute = async (args) => {
+    calls.push(args);
+    return { results: { columnMetadata: [{ name: 'column' }], records: [] } };
+  };
+
+  const output = await runCatalogCommand(execute, ['--resource-arn', 'arn:cluster'], { engine: 'postgres', command: 'indexes', table: 'users' });
+  assert.deepStrictEqual(output.results.records, []);
+  assert.deepStrictEqual(calls[0].slice(0, 3), ['--resource-arn', 'arn:cluster', '--sql']);
+  assert.deepStrictEqual(JSON.parse(calls[0][calls[0].indexOf('--parameters') + 1]), [{ name: 'table', value: { stringValue: 'users' } }]);
+
+  await assert.rejects(
+    runCatalogCommand(execute, [], { engine: 'postgres', command: 'describe', table: 'missing' }),
+    /Table "missing" not found/
+  );
+});
+
+test('should parse the catalog options', () => {
+  const { options, awsArgs } = parseCliArgs(['--describe', 'users', '--list-tables', '--target', 'staging']);
+
+  assert.strictEqual(options.describe, 'users');
+  assert.strictEqual(options.listTables, true);
+  assert.deepStrictEqual(awsArgs, []);
+});
@@ -0,0 +1,127 @@
+// test/client.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+
+import { createClient, formatRows, toSqlParameters, GuardError } from '../src/index.js';
+import { scriptedSpawn } from './helpers/spawn.js';
+
+
+// --- Scripted mock for the injected spawn function ---
+
+// Calls made to the mock spawn function and the responses it plays back, in order
+let spawnCalls;
+let responses;
+let spawn;
+
+// A query result with a few column types
+const usersOutput = JSON.stringify({
+  columnMetadata: [{ name: 'id', typeName: 'int8' }, { name: 'created', typeName: 'timestamp' }, { name: 'doc', typeName: 'jsonb' }],
+  records: [
+    [{ longValue: 1 }, { stringValue: '2024-01-31 10:00:00' }, { stringValue: '{"a":1}' }],
+    [{ longValue: 2 }, { isNull: true }, { stringValue: '[]' }]
+  ]
+});
+
+const createTestClient = (options = {}) => createClient({ resourceArn: 'arn:cluster', secretArn: 'arn:secret', database: 'app', spawn, ...options });
+
+beforeEach(() => {
+  spawnCalls = [];
+  responses = [];
+  spawn = scriptedSpawn(responses, { calls: spawnCalls });
+});
+
+
+// --- Test Cases for the Node API ---
+
+test('should return the rows as objects with decoded values', async () => {
+  responses.push({ stdout: usersOutput });
+
+  const rows = await createTestClient().query('SELECT * FROM users WHERE id > :id', { id: 0 });
+
+  assert.deepStrictEqual(rows, [
+    { id: 1, created: new Date(Date.UTC(2024, 0, 31, 10)), doc: { a: 1 } },
+    { id: 2, created: null, doc: [] }
+  ]);
+  assert.deepStrictEqual(spawnCalls[0].slice(1, 9), [
+    'execute-statement', '--include-result-metadata',
+    '--resource-arn', 'arn:cluster', '--secret-arn', 'arn:secret', '--database', 'app'
+  ]);
+  assert.deepStrictEqual(JSON.parse(spawnCalls[0].at(-1)), [{ name: 'id', value: { longValue: 0 } }]);
+});
+
+test('should convert JavaScript values into parameters', () => {
+  assert.deepStrictEqual(toSqlParameters({
+    n: null, s: 'x', b: true, i: 5, f: 1.5, big: 2n ** 64n,
+    at: new Date(Date.UTC(2024, 0, 31, 10, 0, 0, 250)), bytes: Buffer.from('hi'), doc: { tags: ['a'] }
+  }), [
+    { name: 'n', value: { isNull: true } },
+    { name: 's', value: { stringValue: 'x' } },
+    { name: 'b', value: { booleanValue: true } },
+    { name: 'i', value: { longValue: 5 } },
+    { name: 'f', value: { doubleValue: 1.5 } },
+    { name: 'big', value: { stringValue: '18446744073709551616' }, typeHint: 'DECIMAL' },
+    { name: 'at', value: { stringValue: '2024-01-31 10:00:00.250' }, typeHint: 'TIMESTAMP' },
+    { name: 'bytes', value: { blobValue: 'aGk=' } },
+    { name: 'doc', value: { stringValue: '{"tags":["a"]}' }, typeHint: 'JSON' }
+  ]);
+  assert.throws(() => toSqlParameters({ x: NaN }), /Invalid value NaN for parameter :x/);
+  assert.throws(() => createClient({ resourceArn: 'arn:cluster' }), /createClient needs the resourceArn and the secretArn/);
+});
+
+test('should commit a transaction, or roll it back when the callback fails', async () => {
+  const client = createTestClient();
+  responses.push(
+    { stdout: '{"transactionId":"tx-1"}' },
+    { stdout: '{"numberOfRecordsUpdated":1,"generatedFields":[{"longValue":42}]}' },
+    { stdout: '{"transactionStatus":"Transaction Committed"}' }
+  );
+
+  const result = await client.transaction(tx => tx.execute('INSERT INTO users (name) VALUES (:name)', { name: 'Ann' }));
+  assert.strictEqual(result.numberOfRecordsUpdated, 1);
+  assert.deepStrictEqual(result.generatedFields, [42]);
+  assert.deepStrictEqual(spawnCalls.map(args => args[1]), ['begin-transaction', 'execute-statement', 'commit-transaction']);
+  assert.deepStrictEqual(spawnCalls[1].slice(9, 11), ['--transaction-id', 'tx-1']);
+
+  spawnCalls.length = 0;
+  responses.push({ stdout: '{"transactionId":"tx-2"}' }, { stdout: '{}' });
+  await assert.rejects(client.transaction(async () => { throw new Error('boom'); }), /boom/);
+  assert.deepStrictEqual(spawnCalls.map(args => args[1]), ['begin-transaction', 'rollback-transaction']);
+});
+
+test('should stream the rows page by page and format them as strings', async () => {
+  responses.push({ stdout: usersOutput }, { stdout: JSON.stringify({ columnMetadata: [], records: [] }) });
+
+  const rows = [];
+  for await (const row of createTestClient().stream('SELECT * FROM users', {}, { pageSize: 2 })) {
+    rows.push(row.id);
+  }
+  assert.deepStrictEqual(rows, [1, 2]);
+  assert.match(spawnCalls[1][spawnCalls[1].indexOf('--sql') + 1], /LIMIT 2 OFFSET 2$/);
+
+  const result = { columns: [{ name: 'id', typeName: 'int4' }, { name: 'name', typeName: 'text' }], rows: [{ id: 1, name: 'Ann' }] };
+  assert.strictEqual(formatRows(result, 'csv'), 'id,name\n1,Ann');
+  await assert.rejects(createTestClient({ readOnly: true }).query('DELETE FROM users'), GuardError);
+});
+
+test('should retry without writing to stderr unless onRetry is given', async () => {
+  const resuming = { code: 255, stderr: 'An error occurred (DatabaseResumingException) when calling the BeginTransaction operation: The Aurora DB instance db-1 is resuming.' };
+  const sleep = async () => {};
+  const errors = [];
+  const originalError = console.error;
+  console.error = (...args) => errors.push(args.join(' '));
+  try {
+    responses.push(resuming, { stdout: '{"transactionId":"tx-3"}' }, { stdout: '{}' }, resuming, { stdout: '{}' });
+    await createTestClient({ retry: { sleep } }).transaction(tx => tx.execute('SELECT 1'));
+  } finally {
+    console.error = originalError;
+  }
+  assert.deepStrictEqual(errors, []);
+  assert.deepStrictEqual(spawnCalls.map(args => args[1]), ['begin-transaction', 'begin-transaction', 'execute-statement', 'commit-transaction', 'commit-transaction']);
+
+  const retries = [];
+  responses.push(resuming, { stdout: usersOutput });
+  await createTestClient({ retry: { sleep, onRetry: (error, { attempt }) => retries.push([error.code, attempt]) } }).query('SELECT 1');
+  assert.deepStrictEqual(retries, [['DatabaseResumingException', 1]]);
+});
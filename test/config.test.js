@@ -0,0 +1,93 @@
+// test/config.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, mkdir, writeFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { loadConfig, getTarget, selectTarget, applyTarget, validateTarget, describeTargets, CONFIG_FILE_NAME } from '../src/config.js';
+
+
+// Temporary home and project directories, created fresh for each test
+let homeDir;
+let cwd;
+
+const resourceArn = 'arn:aws:rds:eu-west-1:123456789012:cluster:staging';
+const secretArn = 'arn:aws:secretsmanager:eu-west-1:123456789012:secret:staging-AbCdEf';
+
+beforeEach(async () => {
+  const root = await mkdtemp(path.join(os.tmpdir(), 'rds-pretty-query-'));
+  homeDir = path.join(root, 'home');
+  cwd = path.join(root, 'project');
+  await mkdir(homeDir);
+  await mkdir(cwd);
+});
+
+afterEach(async () => {
+  await rm(path.dirname(homeDir), { recursive: true, force: true });
+});
+
+
+// --- Test Cases for named connection targets ---
+
+test('should merge home and project configuration, the project winning', async () => {
+  await writeFile(path.join(homeDir, CONFIG_FILE_NAME), JSON.stringify({
+    defaultTarget: 'staging',
+    targets: {
+      staging: { resourceArn, secretArn, database: 'app', region: 'eu-west-1' },
+      prod: { resourceArn, secretArn }
+    }
+  }));
+  await writeFile(path.join(cwd, CONFIG_FILE_NAME), JSON.stringify({
+    targets: { staging: { database: 'app_test' } }
+  }));
+
+  const config = await loadConfig({ cwd, homeDir });
+
+  assert.strictEqual(config.defaultTarget, 'staging');
+  assert.deepStrictEqual(config.targets.staging, { resourceArn, secretArn, database: 'app_test', region: 'eu-west-1' });
+  assert.ok(config.targets.staging.source.includes(cwd), 'The source should mention the project file');
+  assert.deepStrictEqual(describeTargets(config).rows.map(row => row[0]), ['staging (default)', 'prod']);
+});
+
+test('should return an empty configuration when no file exists and report invalid JSON', async () => {
+  assert.deepStrictEqual(await loadConfig({ cwd, homeDir }), { targets: {} });
+
+  await writeFile(path.join(cwd, CONFIG_FILE_NAME), '{ not json');
+  await assert.rejects(loadConfig({ cwd, homeDir }), /Invalid configuration file/);
+});
+
+test('should prepend target arguments unless given explicitly on the command line', () => {
+  const target = { resourceArn, secretArn, database: 'app', profile: 'dev', region: 'eu-west-1' };
+  const args = applyTarget(target, ['--database', 'other', '--sql', 'SELECT 1']);
+
+  assert.deepStrictEqual(args, [
+    '--resource-arn', resourceArn,
+    '--secret-arn', secretArn,
+    '--profile', 'dev',
+    '--region', 'eu-west-1',
+    '--database', 'other',
+    '--sql', 'SELECT 1'
+  ]);
+});
+
+test('should select the named target or the default one', () => {
+  const config = { defaultTarget: 'staging', targets: { staging: { resourceArn }, prod: { secretArn } } };
+
+  assert.strictEqual(selectTarget(config, 'prod', []), config.targets.prod);
+  assert.strictEqual(selectTarget(config, undefined, []), config.targets.staging);
+  assert.strictEqual(selectTarget(config, undefined, ['--resource-arn', 'arn']), null, 'An explicit cluster should disable the default target');
+  assert.throws(() => getTarget(config, 'qa'), /Unknown target "qa". Configured targets: staging, prod./);
+});
+
+test('should validate required fields, ARNs and formats', () => {
+  assert.deepStrictEqual(validateTarget({ resourceArn, secretArn, database: 'app' }), []);
+  assert.deepStrictEqual(validateTarget({ resourceArn: 'cluster', format: 'xml', arn: 'x' }), [
+    'missing secretArn',
+    'resourceArn "cluster" is not an RDS ARN',
+    'unknown format "xml" (supported: table, json, ndjson, csv, tsv, markdown, sql)',
+    'unknown field "arn"'
+  ]);
+});
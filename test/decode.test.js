@@ -0,0 +1,105 @@
+// test/decode.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { decodeField, decodeResult, formatValue, normalizeTypeName, sourceText } from '../src/decode.js';
+import { formatResults } from '../src/formatters.js';
+
+
+// --- Test Cases for the Data API field decoder ---
+
+test('should decode isNull as null instead of true', () => {
+  assert.strictEqual(decodeField({ isNull: true }), null);
+  assert.strictEqual(formatValue(decodeField({ isNull: true })), 'NULL', 'NULL should be displayed as NULL');
+});
+
+test('should decode scalar variants to their JavaScript types', () => {
+  assert.strictEqual(decodeField({ longValue: 42 }), 42);
+  assert.strictEqual(decodeField({ doubleValue: 1.5 }), 1.5);
+  assert.strictEqual(decodeField({ booleanValue: false }), false);
+  assert.strictEqual(decodeField({ stringValue: 'Alice' }, { typeName: 'text' }), 'Alice');
+});
+
+test('should decode blobValue into a Buffer displayed as hex', () => {
+  const value = decodeField({ blobValue: Buffer.from('hi').toString('base64') }, { typeName: 'bytea' });
+
+  assert.ok(Buffer.isBuffer(value), 'blobValue should decode to a Buffer');
+  assert.strictEqual(value.toString(), 'hi');
+  assert.strictEqual(formatValue(value), '\\x6869');
+});
+
+test('should decode nested arrayValue using the element type', () => {
+  const field = {
+    arrayValue: {
+      arrayValues: [
+        { longValues: [1, 2] },
+        { longValues: [3, 4] }
+      ]
+    }
+  };
+  assert.deepStrictEqual(decodeField(field, { typeName: '_int4' }), [[1, 2], [3, 4]]);
+
+  const jsonArray = decodeField({ arrayValue: { stringValues: ['{"a":1}', null] } }, { typeName: '_jsonb' });
+  assert.deepStrictEqual(jsonArray, [{ a: 1 }, null]);
+  assert.strictEqual(formatValue([[1, 2], [3, 4]]), '[[1,2],[3,4]]', 'Arrays should not print as [object Object]');
+});
+
+test('should refine stringValue using columnMetadata typeName', () => {
+  assert.deepStrictEqual(decodeField({ stringValue: '{"tags":["a"]}' }, { typeName: 'jsonb' }), { tags: ['a'] });
+  assert.strictEqual(decodeField({ stringValue: 'not json' }, { typeName: 'json' }), 'not json', 'Malformed JSON should be kept as text');
+  assert.strictEqual(decodeField({ stringValue: '12345.678900' }, { typeName: 'numeric' }), '12345.678900', 'Decimals should keep their exact text');
+  assert.strictEqual(decodeField({ stringValue: '18446744073709551615' }, { typeName: 'BIGINT UNSIGNED' }), 18446744073709551615n);
+  assert.strictEqual(decodeField({ stringValue: 'c0ffee00-0000-4000-8000-000000000000' }, { typeName: 'uuid' }), 'c0ffee00-0000-4000-8000-000000000000');
+});
+
+test('should decode timestamps and dates into Date objects and display them like the database', () => {
+  const timestamp = decodeField({ stringValue: '2023-10-27 10:15:30.25' }, { typeName: 'timestamp' });
+  assert.ok(timestamp instanceof Date, 'timestamp should decode to a Date');
+  assert.strictEqual(timestamp.toISOString(), '2023-10-27T10:15:30.250Z');
+  assert.strictEqual(formatValue(timestamp, { typeName: 'timestamp' }), '2023-10-27 10:15:30.25');
+  assert.strictEqual(formatValue(new Date(Date.UTC(2023, 9, 27, 10, 15, 30, 250)), { typeName: 'timestamp' }), '2023-10-27 10:15:30.250');
+
+  const date = decodeField({ stringValue: '2023-10-27' }, { typeName: 'date' });
+  assert.strictEqual(formatValue(date, { typeName: 'date' }), '2023-10-27');
+
+  const withOffset = decodeField({ stringValue: '2023-10-27 12:00:00+02' }, { typeName: 'timestamptz' });
+  assert.strictEqual(withOffset.toISOString(), '2023-10-27T10:00:00.000Z');
+  assert.strictEqual(formatValue(withOffset, { typeName: 'timestamptz' }), '2023-10-27 12:00:00+02', 'The offset should be kept for display');
+});
+
+test('should display timestamps with all their fractional digits', () => {
+  const decoded = decodeResult({
+    columnMetadata: [{ name: 'at', typeName: 'timestamp' }],
+    records: [[{ stringValue: '2024-01-31 10:00:00.123456' }]]
+  });
+
+  assert.strictEqual(decoded.rows[0][0].getTime(), Date.UTC(2024, 0, 31, 10, 0, 0, 123));
+  assert.strictEqual(sourceText(decoded.rows[0][0]), '2024-01-31 10:00:00.123456');
+  assert.deepStrictEqual(decoded.rows[0][0], new Date(Date.UTC(2024, 0, 31, 10, 0, 0, 123)));
+  for (const format of ['table', 'csv', 'tsv', 'markdown']) {
+    assert.match(formatResults(decoded, format), /2024-01-31 10:00:00\.123456/, format);
+  }
+});
+
+test('should normalize type names from both engines', () => {
+  assert.strictEqual(normalizeTypeName('_int4'), 'int4');
+  assert.strictEqual(normalizeTypeName('INT UNSIGNED'), 'int');
+  assert.strictEqual(normalizeTypeName('varchar(255)'), 'varchar');
+  assert.strictEqual(normalizeTypeName(undefined), '');
+});
+
+test('should decode every record of a result', () => {
+  const { columns, rows } = decodeResult({
+    columnMetadata: [{ name: 'id', typeName: 'int4' }, { name: 'deleted_at', typeName: 'timestamp' }],
+    records: [
+      [{ longValue: 1 }, { isNull: true }],
+      [{ longValue: 2 }, { stringValue: '2024-01-01 00:00:00' }]
+    ]
+  });
+
+  assert.deepStrictEqual(columns.map(c => c.name), ['id', 'deleted_at']);
+  assert.strictEqual(rows[0][1], null);
+  assert.strictEqual(formatValue(rows[1][1], columns[1]), '2024-01-01 00:00:00');
+});
@@ -0,0 +1,129 @@
+// test/diff.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { diffResults, formatDiffTable, formatDiffJson, describeDiff, runDiff } from '../src/diff.js';
+import { parseCliArgs } from '../src/options.js';
+import { GuardError } from '../src/guard.js';
+
+
+// Decoded results of the same query on two targets
+const staging = {
+  columns: [{ name: 'id', typeName: 'int4' }, { name: 'name', typeName: 'text' }, { name: 'plan', typeName: 'text' }],
+  rows: [[1, 'Alice', 'pro'], [2, 'Bob', 'free'], [3, 'Carol', null]]
+};
+const prod = {
+  columns: [{ name: 'id', typeName: 'int4' }, { name: 'plan', typeName: 'text' }, { name: 'name', typeName: 'text' }, { name: 'region', typeName: 'text' }],
+  rows: [[1, 'team', 'Alice', 'eu'], [3, null, 'Carol', 'us'], [4, 'free', 'Dan', 'eu']]
+};
+
+
+// --- Test Cases for the diff command ---
+
+test('should match rows by key and report added, removed and changed rows', () => {
+  const diff = diffResults(staging, prod, { key: ['id'] });
+
+  assert.deepStrictEqual(diff.names, ['id', 'name', 'plan']);
+  assert.deepStrictEqual(diff.onlyRight, ['region']);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepStrictEqual(diff.rows.map(row => row.change), ['changed', 'removed', 'added']);
+  assert.deepStrictEqual(diff.rows[0].cells, [2]);
+  assert.deepStrictEqual(diff.rows[2].right.values, [4, 'Dan', 'free']);
+});
+
+test('should compare whole rows without key columns', () => {
+  const left = { columns: [{ name: 'n' }], rows: [[1], [1], [2]] };
+  const right = { columns: [{ name: 'n' }], rows: [[1], [2], [2]] };
+  const diff = diffResults(left, right);
+
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 0, unchanged: 2 });
+  assert.deepStrictEqual(diff.rows.map(row => [row.change, (row.left ?? row.right).values[0]]), [['removed', 1], ['added', 2]]);
+});
+
+test('should reject missing and non-unique key columns', () => {
+  assert.throws(() => diffResults(staging, prod, { key: ['region'] }), /The key column region is not part of the results of both queries/);
+  const twice = { ...prod, rows: [...prod.rows, [5, 'team', 'Eve', 'us']] };
+  assert.throws(() => diffResults(staging, twice, { key: ['plan'] }), /The key \(plan\) is not unique: \["team"\] appears more than once in the right results/);
+
+  const duplicated = { ...staging, rows: [...staging.rows, [1, 'Alice', 'free']] };
+  assert.throws(() => diffResults(duplicated, prod, { key: ['id'] }), /The key \(id\) is not unique: \["1"\] appears more than once in the left results/);
+});
+
+test('should format the differences as a table with the changed cells highlighted', () => {
+  const diff = diffResults(staging, prod, { key: ['id'] });
+
+  assert.strictEqual(formatDiffTable(diff), [
+    '     | id | name  | plan      ',
+    '   - | -- | ----- | ----------',
+    '• ~ |  1 | Alice | pro → team',
+    '• - |  2 | Bob   | free      ',
+    '• + |  4 | Dan   | free      '
+  ].join('\n'));
+
+  const colored = formatDiffTable(diff, { color: true }).split('\n');
+  assert.strictEqual(colored[2], '• \x1b[33m~\x1b[0m |  1 | Alice | \x1b[33mpro → team\x1b[0m');
+  assert.strictEqual(colored[3], '• \x1b[31m-\x1b[0m | \x1b[31m 2\x1b[0m | \x1b[31mBob  \x1b[0m | \x1b[31mfree      \x1b[0m');
+  assert.strictEqual(formatDiffTable(diffResults(staging, staging)), 'No differences.');
+});
+
+test('should format the differences as JSON and summarize them', () => {
+  const diff = diffResults(staging, prod, { key: ['id'] });
+  const json = JSON.parse(formatDiffJson(diff, { left: 'staging', right: 'prod' }));
+
+  assert.deepStrictEqual(json.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+  assert.deepStrictEqual(json.added, [{ id: 4, name: 'Dan', plan: 'free' }]);
+  assert.deepStrictEqual(json.removed, [{ id: 2, name: 'Bob', plan: 'free' }]);
+  assert.deepStrictEqual(json.changed, [{ key: { id: 1 }, changes: { plan: { left: 'pro', right: 'team' } } }]);
+  assert.strictEqual(
+    describeDiff(diff, { left: 'staging', right: 'prod' }),
+    '🔀 staging → prod: 1 added, 1 removed, 1 changed, 1 unchanged.\n⚠️  Columns not compared (only in prod: region).'
+  );
+});
+
+test('should run the query on both targets and write the differences', async () => {
+  const output = (records) => ({ results: { columnMetadata: [{ name: 'id', typeName: 'int4' }], records } });
+  const calls = [];
+  const side = (name, records) => ({
+    name,
+    args: ['--resource-arn', `arn:${name}`, '--sql', 'SELECT id FROM t'],
+    execute: async (args) => { calls.push(args[1]); return output(records); }
+  });
+  const written = [];
+  const statuses = [];
+
+  const diff = await runDiff([side('staging', [[{ longValue: 1 }]]), side('prod', [[{ longValue: 2 }]])], {
+    format: 'json',
+    write: text => written.push(text),
+    status: text => statuses.push(text)
+  });
+
+  assert.deepStrictEqual(calls, ['arn:staging', 'arn:prod']);
+  assert.deepStrictEqual(diff.summary, { added: 1, removed: 1, changed: 0, unchanged: 0 });
+  assert.deepStrictEqual(JSON.parse(written.join('')).added, [{ id: 2 }]);
+  assert.match(statuses[0], /staging → prod: 1 added, 1 removed/);
+  await assert.rejects(runDiff([side('a', []), side('b', [])], { format: 'csv' }), /supports the table and json formats/);
+});
+
+test('should refuse to compare statements that write', async () => {
+  const calls = [];
+  const side = (name, sql) => ({ name, args: ['--sql', sql], execute: async (args) => { calls.push(args); return {}; } });
+
+  for (const sql of ['DELETE FROM users', 'UPDATE users SET a = 1 WHERE id = 2', 'WITH d AS (DELETE FROM t RETURNING *) SELECT * FROM d']) {
+    await assert.rejects(runDiff([side('staging', sql), side('prod', sql)]), (error) => {
+      assert.ok(error instanceof GuardError);
+      assert.match(error.message, /only compares queries that read data/);
+      return true;
+    });
+  }
+  assert.strictEqual(calls.length, 0, 'Nothing should be run');
+});
+
+test('should parse the diff command options', () => {
+  const { options, awsArgs } = parseCliArgs(['diff', '--left', 'staging', '--right=prod', '--key', 'tenant_id,id', '--sql', 'SELECT 1']);
+
+  assert.strictEqual(options.command, 'diff');
+  assert.deepStrictEqual([options.left, options.right, options.key], ['staging', 'prod', ['tenant_id', 'id']]);
+  assert.deepStrictEqual(awsArgs, ['--sql', 'SELECT 1']);
+});
@@ -0,0 +1,92 @@
+// test/errors.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { classifyAwsError, classifySpawnError, AwsCliError, EXIT_CODES } from '../src/errors.js';
+import { executeAwsStatement } from '../src/aws.js';
+import { scriptedSpawn } from './helpers/spawn.js';
+
+
+const RESUMING = 'An error occurred (DatabaseResumingException) when calling the ExecuteStatement operation: The Aurora DB instance db-1 is resuming after being auto-paused. Please wait a few seconds and try again.\n';
+
+
+// --- Test Cases for the classification of AWS CLI errors ---
+
+test('should extract the SQL error of a BadRequestException', () => {
+  const error = classifyAwsError(
+    'An error occurred (BadRequestException) when calling the ExecuteStatement operation: ERROR: syntax error at or near "SELECTT"\n  Position: 1; SQLState: 42601\n',
+    255
+  );
+
+  assert.ok(error instanceof AwsCliError);
+  assert.strictEqual(error.code, 'BadRequestException');
+  assert.strictEqual(error.message, 'SQL error: syntax error at or near "SELECTT"; Position: 1; SQLState: 42601');
+  assert.strictEqual(error.exitCode, EXIT_CODES.SQL_ERROR);
+  assert.strictEqual(error.retryable, false);
+});
+
+test('should classify AWS failures with distinct exit codes', () => {
+  const cases = [
+    [RESUMING, 'DatabaseResumingException', EXIT_CODES.DATABASE_RESUMING, true],
+    ['An error occurred (BadRequestException) when calling the ExecuteStatement operation: Communications link failure\n\nThe last packet sent successfully to the server was 0 milliseconds ago.', 'DatabaseResumingException', EXIT_CODES.DATABASE_RESUMING, true],
+    ['An error occurred (ThrottlingException) when calling the ExecuteStatement operation (reached max retries: 2): Rate exceeded', 'ThrottlingException', EXIT_CODES.THROTTLED, true],
+    ['An error occurred (StatementTimeoutException) when calling the ExecuteStatement operation: Request timed out', 'StatementTimeoutException', EXIT_CODES.STATEMENT_TIMEOUT, false],
+    ['An error occurred (AccessDeniedException) when calling the ExecuteStatement operation: User: arn:aws:iam::1:user/bob is not authorized to perform: rds-data:ExecuteStatement', 'AccessDeniedException', EXIT_CODES.ACCESS_DENIED, false],
+    ['An error occurred (ExpiredTokenException) when calling the ExecuteStatement operation: The security token included in the request is expired', 'ExpiredTokenException', EXIT_CODES.CREDENTIALS, false],
+    ['Unable to locate credentials. You can configure credentials by running "aws configure".', 'NoCredentials', EXIT_CODES.CREDENTIALS, false]
+  ];
+
+  for (const [stderr, code, exitCode, retryable] of cases) {
+    const error = classifyAwsError(stderr, 255);
+    assert.deepStrictEqual([error.code, error.exitCode, error.retryable], [code, exitCode, retryable], stderr);
+  }
+  assert.match(classifyAwsError(cases[4][0], 255).message, /^Access denied: User: .* is not authorized/);
+});
+
+test('should keep the generic error for unknown failures', () => {
+  const error = classifyAwsError('Something unexpected', 2);
+
+  assert.strictEqual(error.name, 'Error');
+  assert.strictEqual(error.message, 'Error executing the command (code 2):\nSomething unexpected');
+  assert.strictEqual(classifySpawnError(Object.assign(new Error('spawn EACCES'), { code: 'EACCES' })).message, 'Failed to start subprocess: spawn EACCES');
+});
+
+test('should retry while the cluster is resuming, then succeed', async () => {
+  const calls = [];
+  const retries = [];
+  const spawn = scriptedSpawn([
+    { stderr: RESUMING, code: 255 },
+    { stderr: RESUMING, code: 255 },
+    { stdout: JSON.stringify({ records: [[{ longValue: 1 }]], columnMetadata: [{ name: 'n' }] }) }
+  ], { calls });
+
+  const output = await executeAwsStatement(spawn, ['--sql', 'SELECT 1'], {
+    retry: { baseDelayMs: 100, sleep: async () => {}, onRetry: (error, retry) => retries.push({ code: error.code, ...retry }) }
+  });
+
+  assert.strictEqual(calls.length, 3);
+  assert.deepStrictEqual(output.results.records, [[{ longValue: 1 }]]);
+  assert.deepStrictEqual(retries, [
+    { code: 'DatabaseResumingException', attempt: 1, attempts: 7, delayMs: 100 },
+    { code: 'DatabaseResumingException', attempt: 2, attempts: 7, delayMs: 200 }
+  ]);
+});
+
+test('should give up after the last attempt and not retry other errors', async () => {
+  const calls = [];
+  const retry = { attempts: 2, sleep: async () => {}, onRetry: () => {} };
+
+  await assert.rejects(
+    executeAwsStatement(scriptedSpawn([{ stderr: RESUMING, code: 255 }, { stderr: RESUMING, code: 255 }], { calls }), ['--sql', 'SELECT 1'], { retry }),
+    { code: 'DatabaseResumingException', exitCode: EXIT_CODES.DATABASE_RESUMING }
+  );
+  assert.strictEqual(calls.length, 2);
+
+  await assert.rejects(
+    executeAwsStatement(scriptedSpawn([{ stderr: 'An error occurred (BadRequestException) when calling the ExecuteStatement operation: ERROR: boom', code: 255 }], { calls }), ['--sql', 'SELECT 1'], { retry }),
+    { message: 'SQL error: boom' }
+  );
+  assert.strictEqual(calls.length, 3, 'SQL errors must not be retried');
+});
@@ -0,0 +1,42 @@
+// test/explain.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { detectEngine, buildExplainSql, formatPlan } from '../src/explain.js';
+
+
+// --- Test Cases for engine detection and EXPLAIN ---
+
+test('should detect the engine from the version string', async () => {
+  const calls = [];
+  const executeReturning = (version) => async (args) => {
+    calls.push(args);
+    return { success: true, results: { columnMetadata: [{ name: 'version' }], records: [[{ stringValue: version }]] } };
+  };
+
+  assert.strictEqual(await detectEngine(executeReturning('PostgreSQL 15.4 on aarch64-unknown-linux-gnu'), ['--resource-arn', 'arn']), 'postgres');
+  assert.strictEqual(await detectEngine(executeReturning('8.0.mysql_aurora.3.05.2'), ['--resource-arn', 'arn']), 'mysql');
+  assert.deepStrictEqual(calls[0], ['--resource-arn', 'arn', '--sql', 'SELECT version()']);
+});
+
+test('should wrap queries in the EXPLAIN syntax of each engine', () => {
+  assert.strictEqual(buildExplainSql('postgres', 'SELECT 1;'), 'EXPLAIN SELECT 1');
+  assert.strictEqual(buildExplainSql('postgres', 'SELECT 1', { analyze: true }), 'EXPLAIN (ANALYZE, BUFFERS) SELECT 1');
+  assert.strictEqual(buildExplainSql('mysql', 'SELECT 1'), 'EXPLAIN FORMAT=TREE SELECT 1');
+  assert.strictEqual(buildExplainSql('mysql', 'SELECT 1', { analyze: true }), 'EXPLAIN ANALYZE SELECT 1');
+  assert.throws(() => buildExplainSql('oracle', 'SELECT 1'), /Unknown engine "oracle"/);
+});
+
+test('should render plan rows as text lines', () => {
+  const plan = formatPlan({
+    columnMetadata: [{ name: 'QUERY PLAN' }],
+    records: [
+      [{ stringValue: 'Seq Scan on users  (cost=0.00..1.05 rows=5 width=36)' }],
+      [{ stringValue: '  Filter: (id > 1)' }]
+    ]
+  });
+
+  assert.strictEqual(plan, 'Seq Scan on users  (cost=0.00..1.05 rows=5 width=36)\n  Filter: (id > 1)');
+});
@@ -0,0 +1,97 @@
+// test/formatters.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { decodeResult } from '../src/decode.js';
+import { formatResults, escapeCsv, escapeMarkdown, createStreamFormatter } from '../src/formatters.js';
+
+
+// A decoded result shared by the test cases: an id, a text with special characters and a NULL
+const decoded = decodeResult({
+  columnMetadata: [
+    { name: 'id', typeName: 'int4' },
+    { name: 'note', typeName: 'text' },
+    { name: 'payload', typeName: 'jsonb' }
+  ],
+  records: [
+    [{ longValue: 1 }, { stringValue: 'a, "quoted" | piped' }, { stringValue: '{"k":1}' }],
+    [{ longValue: 2 }, { stringValue: 'line1\nline2' }, { isNull: true }]
+  ]
+});
+
+
+// --- Test Cases for the output formatters ---
+
+test('should format the table with header, separator and bullet rows', () => {
+  const lines = formatResults(decodeResult({
+    columnMetadata: [{ name: 'id' }, { name: 'name' }],
+    records: [[{ longValue: 1 }, { stringValue: 'Alice' }]]
+  }), 'table').split('\n');
+
+  assert.deepStrictEqual(lines, [
+    '   id | name ',
+    '   -- | -----',
+    '• 1  | Alice'
+  ]);
+});
+
+test('should format JSON as an array of objects keyed by column name', () => {
+  assert.deepStrictEqual(JSON.parse(formatResults(decoded, 'json')), [
+    { id: 1, note: 'a, "quoted" | piped', payload: { k: 1 } },
+    { id: 2, note: 'line1\nline2', payload: null }
+  ]);
+});
+
+test('should format NDJSON with one object per line', () => {
+  const lines = formatResults(decoded, 'ndjson').split('\n');
+
+  assert.strictEqual(lines.length, 2, 'Embedded newlines must not split records');
+  assert.deepStrictEqual(JSON.parse(lines[1]), { id: 2, note: 'line1\nline2', payload: null });
+});
+
+test('should quote CSV fields and write NULL as an empty field', () => {
+  assert.strictEqual(formatResults(decoded, 'csv'), [
+    'id,note,payload',
+    '1,"a, ""quoted"" | piped","{""k"":1}"',
+    '2,"line1\nline2",'
+  ].join('\n'));
+  assert.strictEqual(escapeCsv(' padded'), '" padded"', 'Surrounding whitespace should be preserved by quoting');
+});
+
+test('should escape tabs and newlines in TSV', () => {
+  const lines = formatResults(decoded, 'tsv').split('\n');
+
+  assert.strictEqual(lines[0], 'id\tnote\tpayload');
+  assert.strictEqual(lines[2], '2\tline1\\nline2\t');
+});
+
+test('should escape pipes and newlines in Markdown', () => {
+  assert.strictEqual(formatResults(decoded, 'markdown'), [
+    '| id | note | payload |',
+    '| --- | --- | --- |',
+    '| 1 | a, "quoted" \\| piped | {"k":1} |',
+    '| 2 | line1<br>line2 | NULL |'
+  ].join('\n'));
+  assert.strictEqual(escapeMarkdown('a\\|b'), 'a\\\\\\|b');
+});
+
+test('should reject unknown formats', () => {
+  assert.throws(() => formatResults(decoded, 'xml'), /Unknown output format "xml"/);
+});
+
+test('should stream pages with the same output as formatting all rows at once', () => {
+  const pages = [
+    { columns: decoded.columns, rows: decoded.rows.slice(0, 1) },
+    { columns: decoded.columns, rows: decoded.rows.slice(1) }
+  ];
+  for (const format of ['json', 'ndjson', 'csv', 'tsv', 'markdown']) {
+    const formatter = createStreamFormatter(format);
+    const streamed = pages.map(page => formatter.page(page)).join('') + formatter.end();
+    assert.strictEqual(streamed, `${formatResults(decoded, format)}\n`, format);
+  }
+
+  const empty = createStreamFormatter('json');
+  assert.strictEqual(empty.page({ columns: decoded.columns, rows: [] }) + empty.end(), '[]\n');
+});
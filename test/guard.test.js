@@ -0,0 +1,116 @@
+// test/guard.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { classifySql, guardStatements, guardExecute, formatAwsCommand, createDryRunSpawn, GuardError } from '../src/guard.js';
+import { executeAwsStatement, beginTransaction } from '../src/aws.js';
+import { EXIT_CODES } from '../src/errors.js';
+import { buildExplainSql } from '../src/explain.js';
+
+
+// --- Test Cases for the safety guard ---
+
+test('should classify statements as read, write, DDL or session', () => {
+  const kinds = {
+    'SELECT * FROM users': 'read',
+    '  -- comment\n  with t AS (SELECT 1) SELECT * FROM t': 'read',
+    "SELECT * FROM jobs WHERE status = 'delete'": 'read',
+    'SELECT * FROM jobs FOR UPDATE': 'read',
+    'EXPLAIN DELETE FROM users': 'read',
+    'EXPLAIN ANALYZE DELETE FROM users': 'write',
+    'WITH gone AS (DELETE FROM users RETURNING id) SELECT count(*) FROM gone': 'write',
+    'SELECT * INTO users_copy FROM users': 'write',
+    'INSERT INTO users (id) VALUES (1)': 'write',
+    'CALL refresh_stats()': 'write',
+    'CREATE INDEX ON users (email)': 'ddl',
+    'TRUNCATE users': 'ddl',
+    "SET search_path = 'app'": 'session'
+  };
+  for (const [sql, kind] of Object.entries(kinds)) {
+    assert.strictEqual(classifySql(sql).kind, kind, sql);
+  }
+});
+
+test('should flag DROP, TRUNCATE and DELETE/UPDATE without WHERE as destructive', () => {
+  assert.strictEqual(classifySql('DROP TABLE users').destructive, 'DROP');
+  assert.strictEqual(classifySql('truncate users').destructive, 'TRUNCATE');
+  assert.strictEqual(classifySql('DELETE FROM users').destructive, 'DELETE without WHERE');
+  assert.strictEqual(classifySql("UPDATE users SET note = 'where'").destructive, 'UPDATE without WHERE');
+  assert.strictEqual(classifySql('DELETE FROM users WHERE id = 1').destructive, null);
+  assert.strictEqual(classifySql('SELECT 1').destructive, null);
+});
+
+test('should find the statement behind EXPLAIN ANALYZE and WITH', () => {
+  assert.strictEqual(classifySql('EXPLAIN (ANALYZE, BUFFERS) DELETE FROM users').destructive, 'DELETE without WHERE');
+  assert.strictEqual(classifySql('EXPLAIN ANALYZE UPDATE users SET a = 1 WHERE id = 2').destructive, null);
+  assert.strictEqual(classifySql('EXPLAIN DELETE FROM users').destructive, null, 'A plain EXPLAIN does not run the statement');
+  assert.strictEqual(classifySql('WITH old AS (SELECT id FROM users WHERE active) DELETE FROM users').destructive, 'DELETE without WHERE');
+  assert.strictEqual(classifySql('WITH gone AS (DELETE FROM users RETURNING id) SELECT * FROM gone WHERE id > 0').destructive, 'DELETE without WHERE');
+  assert.strictEqual(classifySql('DELETE FROM users USING (SELECT id FROM bans WHERE active) b').destructive, 'DELETE without WHERE');
+  assert.strictEqual(classifySql('UPDATE users SET score = (SELECT max(score) FROM games WHERE games.user_id = 1)').destructive, 'UPDATE without WHERE');
+  assert.strictEqual(classifySql('DELETE FROM users WHERE id IN (SELECT user_id FROM bans)').destructive, null);
+  assert.strictEqual(classifySql('INSERT INTO users (id) VALUES (1) ON CONFLICT (id) DO UPDATE SET id = 1').destructive, null);
+  assert.strictEqual(classifySql('INSERT INTO users (id) VALUES (1) ON DUPLICATE KEY UPDATE id = 1').destructive, null);
+});
+
+test('should not let EXPLAIN ANALYZE run a destructive statement without confirmation', async () => {
+  const executed = [];
+  const execute = guardExecute(async (args) => { executed.push(args); return {}; }, {});
+
+  for (const engine of ['postgres', 'mysql']) {
+    const sql = buildExplainSql(engine, 'DELETE FROM users', { analyze: true });
+    await assert.rejects(execute(['--sql', sql]), /DELETE without WHERE/);
+  }
+  await execute(['--sql', buildExplainSql('postgres', 'DELETE FROM users')]);
+  assert.strictEqual(executed.length, 1, 'Only the plain EXPLAIN should run');
+});
+
+test('should refuse writes in read-only mode', async () => {
+  await assert.rejects(
+    guardStatements(['SELECT 1', 'UPDATE users SET a = 1 WHERE id = 2'], { readOnly: true }),
+    (error) => {
+      assert.ok(error instanceof GuardError);
+      assert.strictEqual(error.exitCode, EXIT_CODES.REFUSED);
+      assert.match(error.message, /Read-only mode: refusing to run a write statement: UPDATE users/);
+      return true;
+    }
+  );
+  await guardStatements(['SELECT 1', 'SET timezone = 0'], { readOnly: true });
+});
+
+test('should require --yes or a confirmation for destructive statements', async () => {
+  await assert.rejects(guardStatements(['DELETE FROM users']), /without confirmation:\n {2}DELETE without WHERE: DELETE FROM users\nAdd --yes/);
+  await guardStatements(['DELETE FROM users'], { yes: true });
+
+  const questions = [];
+  await guardStatements(['DROP TABLE users'], { confirm: async (question) => { questions.push(question); return true; } });
+  assert.match(questions[0], /DROP: DROP TABLE users/);
+  await assert.rejects(guardStatements(['DROP TABLE users'], { confirm: async () => false }), /Cancelled: nothing was executed/);
+});
+
+test('should guard every statement run through guardExecute', async () => {
+  const calls = [];
+  const execute = guardExecute(async (args) => { calls.push(args); return { success: true }; }, { readOnly: false });
+
+  await execute(['--sql', 'SELECT 1']);
+  await assert.rejects(execute(['--sql', 'INSERT INTO t VALUES (1)'], { readOnly: true }), /Read-only mode/);
+  await assert.rejects(execute(['--sql', 'TRUNCATE t']), /Add --yes/);
+  assert.strictEqual(calls.length, 1, 'Refused statements must not be executed');
+});
+
+test('should print dry-run commands with the secret masked', async () => {
+  const printed = [];
+  const spawn = createDryRunSpawn(line => printed.push(line));
+  const args = ['--resource-arn', 'arn:aws:rds:eu-west-1:123456789012:cluster:prod', '--secret-arn', 'arn:aws:secretsmanager:eu-west-1:123456789012:secret:prod-AbCdEf', '--sql', "SELECT * FROM users WHERE name = 'O''Brien'"];
+
+  const output = await executeAwsStatement(spawn, args);
+  assert.strictEqual(output.results, undefined);
+  assert.strictEqual(
+    printed[0],
+    "aws rds-data execute-statement --include-result-metadata --resource-arn arn:aws:rds:eu-west-1:123456789012:cluster:prod --secret-arn 'arn:aws:secretsmanager:eu-west-1:123456789012:secret:****' --sql 'SELECT * FROM users WHERE name = '\\''O'\\'''\\''Brien'\\'''"
+  );
+  assert.strictEqual(await beginTransaction(spawn, args), 'dry-run');
+  assert.strictEqual(formatAwsCommand(['rds-data', 'x', '--secret-arn=my-secret']), "aws rds-data x '--secret-arn=****'");
+});
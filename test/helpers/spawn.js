@@ -0,0 +1,30 @@
+// test/helpers/spawn.js
+
+import { EventEmitter } from 'events';
+
+/**
+ * Creates a mock of child_process.spawn that plays back scripted responses, one per
+ * spawned process and in order, asynchronously like a real process would.
+ * @param {Array<{stdout?: string, stderr?: string, code?: number}>} responses - The responses. They are
+ * consumed as processes are spawned, so more can be pushed once the mock is created.
+ * @param {object} [options]
+ * @param {string[][]} [options.calls] - Receives the arguments of every spawned process.
+ * @param {{stdout?: string, stderr?: string, code?: number}} [options.fallback={}] - The response played
+ * once `responses` is empty.
+ * @returns {function(string, string[]): EventEmitter} The mock spawn function.
+ */
+export function scriptedSpawn(responses, { calls = [], fallback = {} } = {}) {
+  return (command, args) => {
+    calls.push(args);
+    const { stdout = '', stderr = '', code = 0 } = responses.shift() ?? fallback;
+    const child = new EventEmitter();
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    setImmediate(() => {
+      child.stdout.emit('data', stdout);
+      child.stderr.emit('data', stderr);
+      child.emit('close', code);
+    });
+    return child;
+  };
+}
@@ -13,7 +13,7 @@ import { fileURLToPath } from 'url';
 // !!! ENSURE THIS PATH IS CORRECT RELATIVE TO THE LOCATION OF YOUR TEST FILE !!!
 // If your script is in the project root and test is in test/, the path might be '../index.js' or '../rds-exec.js'
 // If your script is in src/index.js and test is in test/, the path is '../src/index.js'
-import { executeAwsStatement } from '../src/index.js'; // <-- ADJUST THIS IF NECESSARY
+import { executeAwsStatement, displayResults } from '../src/index.js'; // <-- ADJUST THIS IF NECESSARY
 
 // Get __dirname equivalent in ES Modules for resolving paths if needed
 const __filename = fileURLToPath(import.meta.url);
@@ -156,14 +156,14 @@ test('should resolve with results containing empty records array for successful
 });
 
 // Handles successful command with JSON output that is not an array (like INSERT/UPDATE/DDL) or empty output
-test('should resolve with success message for successful command without records array (e.g., INSERT/UPDATE) or empty output', async () => {
+test('should resolve with updated row count for successful command without records array (e.g., INSERT/UPDATE) or success message for empty output', async () => {
   // Simulate JSON output for a command like INSERT/UPDATE/DDL (no 'records' or 'columnMetadata')
   const jsonOutputUpdate = JSON.stringify({
     numberOfRecordsUpdated: 1
     // No 'records' array and no 'columnMetadata'
   });
 
-  // Test case 1: Command with other success output
+  // Test case 1: Command reporting the number of updated records
   const executionPromiseUpdate = executeAwsStatement(mockSpawn, ['--sql', 'INSERT INTO users (name) VALUES (\'Charlie\')']);
   mockChildProcessInstance.stdout.emit('data', jsonOutputUpdate);
   mockChildProcessInstance.emit('close', 0);
@@ -171,7 +171,9 @@ test('should resolve with success message for successful command without records
 
   // Assert that it resolves with a success message
   assert.ok(resultUpdate.success, 'Result should indicate success for update');
-  assert.strictEqual(resultUpdate.message, 'Command run successfully. No results to display.', 'Resolved message should indicate no results for update');
+  assert.strictEqual(resultUpdate.message, 'Command run successfully. 1 row updated.', 'Resolved message should report the updated row count');
+  assert.strictEqual(resultUpdate.numberOfRecordsUpdated, 1, 'Result should keep numberOfRecordsUpdated');
+  assert.strictEqual(typeof resultUpdate.elapsedMs, 'number', 'Result should report the elapsed time');
   assert.strictEqual(resultUpdate.results, undefined, 'Result should NOT have a results property for simple success'); // Explicitly check results is undefined
   assert.strictEqual(mockSpawnCalls.length, 1, 'spawn should have been called once for update'); // Check spawn was called again
   mockSpawnCalls = []; // Reset for the next part of this test
@@ -255,8 +257,8 @@ test('should reject if spawn fails to start the process (e.g., command not found
   // Assert that the promise rejects with the error from the 'error' event handler
   await assert.rejects(
       executionPromise,
-      // Assert against an Error instance with the expected message
-      new Error(`Failed to start subprocess: ${spawnError.message}`),
+      // A missing aws executable is reported as such, with its own exit code
+      { name: 'AwsCliError', code: 'CliNotFound', exitCode: 127, message: /AWS CLI \("aws"\) was not found/ },
       'Promise should reject if spawn emits an error'
   );
 
@@ -279,3 +281,65 @@ test('should reject if required arguments are missing', async () => {
   // Verify spawn was NOT called in this case
   assert.strictEqual(mockSpawnCalls.length, 0, 'spawn should not have been called when arguments are missing');
 });
+
+
+// --- Test Cases for the displayResults function ---
+
+/**
+ * Runs a function while capturing everything written through console.log and console.error.
+ * @param {function} fn - The function to run.
+ * @returns {{stdout: string[], stderr: string[]}} The captured lines.
+ */
+const captureConsole = (fn) => {
+  const captured = { stdout: [], stderr: [] };
+  const originalLog = console.log;
+  const originalError = console.error;
+  console.log = (...parts) => captured.stdout.push(parts.join(' '));
+  console.error = (...parts) => captured.stderr.push(parts.join(' '));
+  try {
+    fn();
+  } finally {
+    console.log = originalLog;
+    console.error = originalError;
+  }
+  return captured;
+};
+
+test('should print the results banner only for the table format', () => {
+  const output = {
+    success: true,
+    results: {
+      columnMetadata: [{ name: 'id' }],
+      records: [[{ longValue: 1 }]]
+    }
+  };
+
+  const table = captureConsole(() => displayResults(output));
+  assert.ok(table.stdout[0].includes('📊 Results (1)'), 'Table output should start with the banner');
+
+  const csv = captureConsole(() => displayResults(output, { format: 'csv' }));
+  assert.deepStrictEqual(csv.stdout, ['id\n1'], 'CSV output should contain only the data');
+
+  const message = captureConsole(() => displayResults({ success: true, message: 'done' }, { format: 'json' }));
+  assert.deepStrictEqual(message.stdout, [], 'Status messages should not pollute machine-readable stdout');
+  assert.deepStrictEqual(message.stderr, ['done']);
+});
+
+test('should keep generated fields of DML statements and display them', async () => {
+  const executionPromise = executeAwsStatement(mockSpawn, ['--sql', 'INSERT INTO users (name) VALUES (\'Dana\')']);
+  mockChildProcessInstance.stdout.emit('data', JSON.stringify({ numberOfRecordsUpdated: 1, generatedFields: [{ longValue: 42 }] }));
+  mockChildProcessInstance.emit('close', 0);
+  const result = await executionPromise;
+
+  assert.deepStrictEqual(result.generatedFields, [{ longValue: 42 }]);
+
+  const printed = captureConsole(() => displayResults({ ...result, elapsedMs: 12 }));
+  assert.deepStrictEqual(printed.stdout, [
+    'Command run successfully. 1 row updated.',
+    '🔑 Generated fields: 42',
+    '⏱️  12 ms'
+  ]);
+
+  const untimed = captureConsole(() => displayResults({ ...result, elapsedMs: 12 }, { timing: false }));
+  assert.ok(!untimed.stdout.some(line => line.includes('ms')), 'Timing should be omitted when disabled');
+});
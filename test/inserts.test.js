@@ -0,0 +1,86 @@
+// test/inserts.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { formatInserts, sqlLiteral, quoteIdentifier } from '../src/inserts.js';
+import { decodeResult } from '../src/decode.js';
+import { formatResults, createStreamFormatter } from '../src/formatters.js';
+
+
+// A result with one column of each kind of type
+const decoded = decodeResult({
+  columnMetadata: [
+    { name: 'id', typeName: 'int8' },
+    { name: 'name', typeName: 'text' },
+    { name: 'price', typeName: 'numeric' },
+    { name: 'active', typeName: 'bool' },
+    { name: 'created', typeName: 'timestamptz' },
+    { name: 'doc', typeName: 'jsonb' }
+  ],
+  records: [
+    [{ longValue: 1 }, { stringValue: "O'Brien" }, { stringValue: '10.50' }, { booleanValue: true }, { stringValue: '2024-01-31 10:00:00' }, { stringValue: '{"a":1}' }],
+    [{ longValue: 2 }, { isNull: true }, { stringValue: '0.1' }, { booleanValue: false }, { isNull: true }, { stringValue: '"text"' }]
+  ]
+});
+
+
+// --- Test Cases for the sql output format ---
+
+test('should write one type-aware INSERT per row', () => {
+  assert.strictEqual(formatInserts(decoded, { table: 'app.products' }), [
+    `INSERT INTO app.products ("id", "name", "price", "active", "created", "doc") VALUES (1, 'O''Brien', 10.50, TRUE, '2024-01-31 10:00:00+00', '{"a":1}');`,
+    `INSERT INTO app.products ("id", "name", "price", "active", "created", "doc") VALUES (2, NULL, 0.1, FALSE, NULL, '"text"');`
+  ].join('\n'));
+  assert.throws(() => formatResults(decoded, 'sql'), /The sql format needs the table to insert into/);
+});
+
+test('should quote literals and identifiers for each engine', () => {
+  const text = { typeName: 'varchar' };
+
+  assert.strictEqual(sqlLiteral('a\\b\'c', text, 'postgres'), "'a\\b''c'");
+  assert.strictEqual(sqlLiteral('a\\b\'c', text, 'mysql'), "'a\\\\b''c'");
+  assert.strictEqual(sqlLiteral(Buffer.from([0xca, 0xfe]), { typeName: 'bytea' }, 'postgres'), "'\\xcafe'");
+  assert.strictEqual(sqlLiteral(Buffer.from([0xca, 0xfe]), { typeName: 'blob' }, 'mysql'), "X'cafe'");
+  assert.strictEqual(sqlLiteral(['a', null, 'say "hi"'], { typeName: '_text' }), `'{"a",NULL,"say \\"hi\\""}'`);
+  assert.strictEqual(sqlLiteral(12345678901234567890n, { typeName: 'bigint unsigned' }, 'mysql'), '12345678901234567890');
+  assert.strictEqual(sqlLiteral(NaN, { typeName: 'float8' }), "'NaN'");
+  const micros = decodeResult({
+    columnMetadata: [{ typeName: 'timestamp' }, { typeName: 'timestamptz' }, { typeName: 'timestamptz' }],
+    records: [[{ stringValue: '2024-01-31 10:00:00.123456' }, { stringValue: '2024-01-31 10:00:00.000001' }, { stringValue: '2024-01-31 12:00:00.5+02' }]]
+  });
+  assert.deepStrictEqual(micros.rows[0].map((value, i) => sqlLiteral(value, micros.columns[i])),
+    ["'2024-01-31 10:00:00.123456'", "'2024-01-31 10:00:00.000001+00'", "'2024-01-31 12:00:00.5+02'"]);
+  assert.strictEqual(sqlLiteral('1e3; DROP TABLE x', { typeName: 'numeric' }), "'1e3; DROP TABLE x'");
+  assert.strictEqual(quoteIdentifier('we"ird', 'postgres'), '"we""ird"');
+  assert.strictEqual(quoteIdentifier('we`ird', 'mysql'), '`we``ird`');
+});
+
+test('should write batched upserts', () => {
+  const rows = { columns: decoded.columns.slice(0, 2), rows: [[1, 'a'], [2, 'b'], [3, 'c']] };
+
+  assert.strictEqual(formatInserts(rows, { table: 'users', upsert: ['id'], batchSize: 2 }), [
+    'INSERT INTO users ("id", "name") VALUES',
+    "  (1, 'a'),",
+    "  (2, 'b')",
+    'ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name";',
+    `INSERT INTO users ("id", "name") VALUES (3, 'c') ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name";`
+  ].join('\n'));
+  assert.strictEqual(
+    formatInserts({ ...rows, rows: [[1, 'a']] }, { table: 'users', engine: 'mysql', upsert: ['id'] }),
+    "INSERT INTO users (`id`, `name`) VALUES (1, 'a') ON DUPLICATE KEY UPDATE `name` = VALUES(`name`);"
+  );
+  assert.match(formatInserts(rows, { table: 'users', upsert: ['id', 'name'] }), /ON CONFLICT \("id", "name"\) DO NOTHING;$/);
+  assert.throws(() => formatInserts(rows, { table: 'users', upsert: ['email'] }), /The upsert column email is not part of the query results/);
+});
+
+test('should stream INSERT statements page by page', () => {
+  const formatter = createStreamFormatter('sql', { table: 'products' });
+  const streamed = formatter.page({ columns: decoded.columns, rows: decoded.rows.slice(0, 1) })
+    + formatter.page({ columns: decoded.columns, rows: decoded.rows.slice(1) })
+    + formatter.page({ columns: decoded.columns, rows: [] })
+    + formatter.end();
+
+  assert.strictEqual(streamed, `${formatInserts(decoded, { table: 'products' })}\n`);
+});
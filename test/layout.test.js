@@ -0,0 +1,94 @@
+// test/layout.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { displayWidth, truncateToWidth, wrapToWidth, renderTable, renderVertical } from '../src/layout.js';
+import { decodeResult } from '../src/decode.js';
+import { formatTable } from '../src/formatters.js';
+
+
+// --- Test Cases for the table layout ---
+
+test('should measure the display width of emoji, CJK and combining characters', () => {
+  assert.strictEqual(displayWidth('abc'), 3);
+  assert.strictEqual(displayWidth('日本語'), 6);
+  assert.strictEqual(displayWidth('ok 👍'), 5);
+  assert.strictEqual(displayWidth('👨‍👩‍👧'), 2, 'A ZWJ sequence is a single emoji');
+  assert.strictEqual(displayWidth('é'), 1, 'A combining accent takes no room');
+});
+
+test('should measure the display width without Intl.Segmenter (Node 14)', (t) => {
+  const { Segmenter } = Intl;
+  delete Intl.Segmenter;
+  t.after(() => { Intl.Segmenter = Segmenter; });
+
+  assert.strictEqual(displayWidth('日本語'), 6);
+  assert.strictEqual(displayWidth('👨‍👩‍👧'), 2, 'A ZWJ sequence is a single emoji');
+  assert.strictEqual(displayWidth('é'), 1, 'A combining accent takes no room');
+  assert.strictEqual(truncateToWidth('日本語テキスト', 7), '日本語…');
+});
+
+test('should truncate and wrap by display width', () => {
+  assert.strictEqual(truncateToWidth('abcdefgh', 5), 'abcd…');
+  assert.strictEqual(truncateToWidth('日本語テキスト', 7), '日本語…');
+  assert.strictEqual(truncateToWidth('short', 10), 'short');
+  assert.deepStrictEqual(wrapToWidth('abcdefg\nhi', 3), ['abc', 'def', 'g', 'hi']);
+});
+
+test('should align columns by display width and right-align numeric columns', () => {
+  const table = formatTable(decodeResult({
+    columnMetadata: [{ name: 'amount', typeName: 'numeric' }, { name: 'label', typeName: 'text' }],
+    records: [
+      [{ stringValue: '5.00' }, { stringValue: '日本' }],
+      [{ stringValue: '1250.00' }, { stringValue: 'x' }]
+    ]
+  }));
+
+  assert.deepStrictEqual(table.split('\n'), [
+    '    amount | label',
+    '   ------- | -----',
+    '•    5.00 | 日本 ',
+    '• 1250.00 | x    '
+  ]);
+});
+
+test('should truncate the widest columns to fit the terminal width', () => {
+  const lines = renderTable({
+    names: ['id', 'payload'],
+    rows: [['1', `{"data":"${'x'.repeat(100)}"}`]]
+  }, { width: 40 }).split('\n');
+
+  assert.ok(lines.every(line => displayWidth(line) <= 40), 'No line should exceed the terminal width');
+  assert.match(lines[2], /^• 1  \| \{"data":"x+…$/);
+});
+
+test('should switch to the vertical layout when the columns cannot fit', () => {
+  const table = {
+    names: ['id', 'first_name', 'last_name', 'email_address'],
+    rows: [['1', 'Alice', 'Liddell', 'alice@example.com']]
+  };
+  const expected = [
+    '-[ RECORD 1 ]--------------------',
+    'id            | 1',
+    'first_name    | Alice',
+    'last_name     | Liddell',
+    'email_address | alice@example.com'
+  ].join('\n');
+
+  assert.strictEqual(renderTable(table, { width: 40 }), expected);
+  assert.strictEqual(renderTable(table, { vertical: true }), expected);
+  assert.ok(renderTable(table, { width: 40, vertical: false }).startsWith('   id | first_name'), 'vertical: false keeps the table');
+});
+
+test('should wrap long values in the vertical layout', () => {
+  const blocks = renderVertical({ names: ['id', 'note'], rows: [['1', 'a'.repeat(25)]] }, { width: 20 });
+
+  assert.deepStrictEqual(blocks.split('\n'), [
+    '-[ RECORD 1 ]-------',
+    'id   | 1',
+    'note | aaaaaaaaaaaaa',
+    '     | aaaaaaaaaaaa'
+  ]);
+});
@@ -0,0 +1,121 @@
+// test/load.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, writeFile, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { parseCsv, parseRows, buildParameterSets, chunkParameterSets, runLoad } from '../src/load.js';
+import { scriptedSpawn } from './helpers/spawn.js';
+
+
+// --- Scripted mock for the injected spawn function ---
+
+let spawnCalls;
+let responses;
+let spawn;
+let dir;
+
+beforeEach(async () => {
+  spawnCalls = [];
+  responses = [];
+  spawn = scriptedSpawn(responses, { calls: spawnCalls, fallback: { stdout: '{"updateResults":[]}' } });
+  dir = await mkdtemp(path.join(os.tmpdir(), 'rds-pretty-query-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+
+// --- Test Cases for bulk loading ---
+
+test('should parse CSV with quotes, embedded newlines and NULLs', () => {
+  assert.deepStrictEqual(parseCsv('id,name,note\r\n1,"Smith, J","said ""hi""\nthen left"\n2,,""\n\n'), [
+    ['id', 'name', 'note'],
+    ['1', 'Smith, J', 'said "hi"\nthen left'],
+    ['2', null, '']
+  ]);
+  assert.throws(() => parseCsv('a\n"open'), /unterminated quoted field/);
+});
+
+test('should read NDJSON rows and report the offending line', () => {
+  const { columns, rows } = parseRows('{"id":1}\n\n{"id":2,"tags":["a"]}\n', 'ndjson');
+
+  assert.deepStrictEqual(columns, ['id', 'tags']);
+  assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2, tags: ['a'] }]);
+  assert.throws(() => parseRows('{"id":1}\nnope', 'ndjson'), /Invalid NDJSON on line 2/);
+  assert.throws(() => parseRows('a,b\n1', 'csv'), /row 1 has 1 fields, the header has 2/);
+});
+
+test('should map columns to placeholders with inferred and forced types', () => {
+  const sets = buildParameterSets(
+    'INSERT INTO users (id, email, born, meta) VALUES (:id, :mail, :born, :meta)',
+    { columns: ['id', 'email', 'born', 'meta'], rows: [{ id: '1', email: 'a@b.c', born: null, meta: { vip: true } }] },
+    { map: ['mail=email'], paramTypes: ['born=date'] }
+  );
+
+  assert.deepStrictEqual(sets, [[
+    { name: 'id', value: { longValue: 1 } },
+    { name: 'mail', value: { stringValue: 'a@b.c' } },
+    { name: 'born', value: { isNull: true } },
+    { name: 'meta', value: { stringValue: '{"vip":true}' }, typeHint: 'JSON' }
+  ]]);
+  assert.throws(
+      () => buildParameterSets('INSERT INTO t VALUES (:x)', { columns: ['y'], rows: [] }),
+      /No input column for :x. Available columns: y/
+  );
+});
+
+test('should chunk parameter sets by row count and size', () => {
+  const sets = Array.from({ length: 5 }, (_, i) => [{ name: 'id', value: { longValue: i } }]);
+
+  assert.deepStrictEqual(chunkParameterSets(sets, { maxRows: 2 }).map(chunk => [chunk.start, chunk.sets.length]), [[0, 2], [2, 2], [4, 1]]);
+
+  const size = JSON.stringify(sets[0]).length + 1;
+  assert.deepStrictEqual(chunkParameterSets(sets, { maxBytes: 2 + size * 3 }).map(chunk => chunk.sets.length), [3, 2]);
+});
+
+test('should send chunks with batch-execute-statement and write rejected rows to a side file', async () => {
+  const input = path.join(dir, 'users.csv');
+  await writeFile(input, 'id,name\n1,Alice\n2,"Bob, Jr"\n3,\n');
+  responses.push({}, { code: 255, stderr: 'duplicate key value' });
+  const printed = [];
+
+  const summary = await runLoad(spawn, {
+    input,
+    awsArgs: ['--resource-arn', 'arn:cluster', '--sql', 'INSERT INTO users VALUES (:id, :name)'],
+    chunkRows: 2,
+    print: line => printed.push(line)
+  });
+
+  assert.deepStrictEqual(summary, { rows: 3, inserted: 2, rejected: 1, rejectsFile: `${input}.rejected.csv` });
+  assert.strictEqual(spawnCalls.length, 2);
+  assert.deepStrictEqual(spawnCalls[0].slice(0, 6), ['rds-data', 'batch-execute-statement', '--resource-arn', 'arn:cluster', '--sql', 'INSERT INTO users VALUES (:id, :name)']);
+  assert.strictEqual(JSON.parse(spawnCalls[0][7]).length, 2, 'The first chunk should hold two parameter sets');
+  assert.strictEqual(await readFile(`${input}.rejected.csv`, 'utf8'), 'id,name\n3,\n');
+  assert.match(printed[1], /❌ \[2\/2\] rows 3-3 rejected: [\s\S]*duplicate key value/);
+  assert.match(printed.at(-1), /2 of 3 rows loaded, 1 rejected/);
+});
+
+test('should reject the rows whose values cannot be converted and load the rest', async () => {
+  const input = path.join(dir, 'users.ndjson');
+  await writeFile(input, '{"id":1,"born":"2000-01-31"}\n{"id":2,"born":"31/01/2000"}\n{"id":3,"born":null}\n');
+  const printed = [];
+
+  const summary = await runLoad(spawn, {
+    input,
+    awsArgs: ['--resource-arn', 'arn:cluster', '--sql', 'INSERT INTO users VALUES (:id, :born)'],
+    paramTypes: ['born=DATE'],
+    print: line => printed.push(line)
+  });
+
+  assert.deepStrictEqual(summary, { rows: 3, inserted: 2, rejected: 1, rejectsFile: `${input}.rejected.ndjson` });
+  assert.deepStrictEqual(JSON.parse(spawnCalls[0][7]).map(set => set[0].value.longValue), [1, 3]);
+  assert.strictEqual(await readFile(`${input}.rejected.ndjson`, 'utf8'), '{"id":2,"born":"31/01/2000"}\n');
+  assert.match(printed[0], /❌ row 2 rejected: Invalid value "31\/01\/2000" for parameter :born of type DATE/);
+  assert.strictEqual(printed[1].replace(/ \(\d+ ms\)$/, ''), '✅ [1/1] rows 1-3 loaded');
+  assert.match(printed.at(-1), /2 of 3 rows loaded, 1 rejected/);
+});
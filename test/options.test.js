@@ -0,0 +1,63 @@
+// test/options.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { parseCliArgs, getArgValue, removeArgs, withArgValue } from '../src/options.js';
+
+
+// --- Test Cases for the command line parser ---
+
+test('should pass unknown arguments through to the AWS CLI in order', () => {
+  const argv = ['--resource-arn', 'arn:cluster', '--sql', 'SELECT 1', '--database', 'db'];
+  const { options, awsArgs } = parseCliArgs(argv);
+
+  assert.deepStrictEqual(awsArgs, argv);
+  assert.strictEqual(options.format, undefined, 'The format should be left to the target or the default');
+});
+
+test('should extract --format in both separate and inline forms', () => {
+  assert.strictEqual(parseCliArgs(['--format', 'csv', '--sql', 'SELECT 1']).options.format, 'csv');
+
+  const { options, awsArgs } = parseCliArgs(['--sql', 'SELECT 1', '--format=ndjson']);
+  assert.strictEqual(options.format, 'ndjson');
+  assert.deepStrictEqual(awsArgs, ['--sql', 'SELECT 1']);
+});
+
+test('should reject unknown formats and missing values', () => {
+  assert.throws(() => parseCliArgs(['--format', 'xml']), /Unknown output format "xml"/);
+  assert.throws(() => parseCliArgs(['--format']), /Missing value for --format/);
+});
+
+test('should collect repeated --param and --param-type flags', () => {
+  const { options, awsArgs } = parseCliArgs(['--param', 'id=5', '--sql', 'SELECT :id', '--param=name=x', '--param-type', 'id=LONG']);
+
+  assert.deepStrictEqual(options.params, ['id=5', 'name=x']);
+  assert.deepStrictEqual(options.paramTypes, ['id=LONG']);
+  assert.deepStrictEqual(awsArgs, ['--sql', 'SELECT :id']);
+});
+
+test('should read flag values from argument lists', () => {
+  assert.strictEqual(getArgValue(['--sql', 'SELECT 1'], '--sql'), 'SELECT 1');
+  assert.strictEqual(getArgValue(['--sql=SELECT 2'], '--sql'), 'SELECT 2');
+  assert.strictEqual(getArgValue(['--database', 'db'], '--sql'), undefined);
+});
+
+test('should recognize a leading command and validate --chunk-rows', () => {
+  const { options, awsArgs } = parseCliArgs(['load', '--input', 'users.csv', '--chunk-rows', '500', '--sql', 'INSERT ...']);
+
+  assert.strictEqual(options.command, 'load');
+  assert.strictEqual(options.input, 'users.csv');
+  assert.strictEqual(options.chunkRows, 500);
+  assert.deepStrictEqual(awsArgs, ['--sql', 'INSERT ...']);
+  assert.throws(() => parseCliArgs(['load', '--chunk-rows', '0']), /--chunk-rows must be a positive integer/);
+});
+
+test('should remove and replace flags in argument lists', () => {
+  const args = ['--sql', 'SELECT 1', '--database', 'db', '--parameters=[]'];
+
+  assert.deepStrictEqual(removeArgs(args, ['--sql', '--parameters']), ['--database', 'db']);
+  assert.deepStrictEqual(withArgValue(args, '--sql', 'EXPLAIN SELECT 1'), ['--database', 'db', '--parameters=[]', '--sql', 'EXPLAIN SELECT 1']);
+  assert.throws(() => parseCliArgs(['--engine', 'oracle']), /Unknown engine "oracle"/);
+});
@@ -0,0 +1,108 @@
+// test/paginate.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { buildPageSql, fetchPages, runPaginated } from '../src/paginate.js';
+
+
+// Mock execute function serving the rows of a table page by page, recording the calls
+function pagedExecute(ids, calls) {
+  return async (args) => {
+    calls.push(args);
+    const sql = args[args.indexOf('--sql') + 1];
+    const limit = Number(sql.match(/LIMIT (\d+)/)[1]);
+    const offset = Number(sql.match(/OFFSET (\d+)/)?.[1] ?? 0);
+    const parameters = args.includes('--parameters') ? JSON.parse(args[args.indexOf('--parameters') + 1]) : [];
+    const after = parameters.find(p => p.name === 'rpq_after')?.value.longValue ?? -Infinity;
+    const start = sql.includes('OFFSET') ? offset : ids.findIndex(id => id > after);
+    const page = start === -1 ? [] : ids.slice(start, start + limit);
+    return {
+      success: true,
+      results: {
+        columnMetadata: [{ name: 'id', typeName: 'int8' }],
+        records: page.map(id => [{ longValue: id }])
+      }
+    };
+  };
+}
+
+
+// --- Test Cases for pagination ---
+
+test('should wrap queries in OFFSET and keyset pages', () => {
+  assert.strictEqual(
+    buildPageSql('SELECT * FROM users;', { pageSize: 100, offset: 200 }),
+    'SELECT * FROM (SELECT * FROM users) AS rpq_page LIMIT 100 OFFSET 200'
+  );
+  assert.strictEqual(
+    buildPageSql('SELECT * FROM users', { pageSize: 100, keyset: 'id' }),
+    'SELECT * FROM (SELECT * FROM users) AS rpq_page ORDER BY id LIMIT 100'
+  );
+  assert.strictEqual(
+    buildPageSql('SELECT * FROM users', { pageSize: 100, keyset: 'id', after: true }),
+    'SELECT * FROM (SELECT * FROM users) AS rpq_page WHERE id > :rpq_after ORDER BY id LIMIT 100'
+  );
+});
+
+test('should fetch OFFSET pages until a short page and honour --max-rows', async () => {
+  const ids = [1, 2, 3, 4, 5];
+  const calls = [];
+  const pages = [];
+  for await (const results of fetchPages(pagedExecute(ids, calls), ['--sql', 'SELECT id FROM t'], { pageSize: 2 })) {
+    pages.push(results.records.map(([field]) => field.longValue));
+  }
+  assert.deepStrictEqual(pages, [[1, 2], [3, 4], [5]]);
+  assert.match(calls[2].at(-1), /LIMIT 2 OFFSET 4$/);
+
+  const limited = [];
+  for await (const results of fetchPages(pagedExecute(ids, []), ['--sql', 'SELECT id FROM t'], { pageSize: 2, maxRows: 3 })) {
+    limited.push(results.records.length);
+  }
+  assert.deepStrictEqual(limited, [2, 1]);
+});
+
+test('should pass the last key of each page as a parameter in keyset mode', async () => {
+  const calls = [];
+  const args = ['--sql', 'SELECT id FROM t WHERE org = :org', '--parameters', '[{"name":"org","value":{"longValue":7}}]'];
+  let rows = 0;
+  for await (const results of fetchPages(pagedExecute([10, 20, 30], calls), args, { pageSize: 2, keyset: 'id' })) {
+    rows += results.records.length;
+  }
+
+  assert.strictEqual(rows, 3);
+  assert.strictEqual(calls.length, 2);
+  assert.deepStrictEqual(JSON.parse(calls[1][calls[1].indexOf('--parameters') + 1]), [
+    { name: 'org', value: { longValue: 7 } },
+    { name: 'rpq_after', value: { longValue: 20 } }
+  ]);
+});
+
+test('should reject keyset columns missing from the results or containing NULL', async () => {
+  const execute = async () => ({
+    success: true,
+    results: { columnMetadata: [{ name: 'id' }], records: [[{ isNull: true }]] }
+  });
+  const drain = async (options) => {
+    for await (const _ of fetchPages(execute, ['--sql', 'SELECT id FROM t'], { pageSize: 1, ...options })) { /* consume */ }
+  };
+
+  await assert.rejects(drain({ keyset: 'uuid' }), /not part of the query results/);
+  await assert.rejects(drain({ keyset: 'id' }), /contains NULL values/);
+});
+
+test('should stream pages in the selected format', async () => {
+  const chunks = [];
+  const statuses = [];
+  const summary = await runPaginated(pagedExecute([1, 2, 3], []), ['--sql', 'SELECT id FROM t'], {
+    format: 'csv',
+    pageSize: 2,
+    write: text => chunks.push(text),
+    status: text => statuses.push(text)
+  });
+
+  assert.deepStrictEqual(summary, { rows: 3, pages: 2 });
+  assert.deepStrictEqual(chunks, ['id\n1\n2\n', '3\n', '']);
+  assert.deepStrictEqual(statuses, ['📊 3 rows in 2 pages.']);
+});
@@ -0,0 +1,72 @@
+// test/parameters.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { applyParameters, buildParameters, findPlaceholders, inferParamType } from '../src/parameters.js';
+
+
+// --- Test Cases for named SQL parameters ---
+
+test('should infer parameter types from their values', () => {
+  assert.strictEqual(inferParamType('5'), 'LONG');
+  assert.strictEqual(inferParamType('-1.25'), 'DOUBLE');
+  assert.strictEqual(inferParamType('true'), 'BOOLEAN');
+  assert.strictEqual(inferParamType('007'), 'STRING', 'Leading zeros should keep the value a string');
+  assert.strictEqual(inferParamType('foo@bar.com'), 'STRING');
+  assert.strictEqual(inferParamType('2024-01-31'), 'DATE');
+  assert.strictEqual(inferParamType('2024-01-31T10:00:00Z'), 'TIMESTAMP');
+  assert.strictEqual(inferParamType('c0ffee00-0000-4000-8000-000000000000'), 'UUID');
+});
+
+test('should build the Data API parameters structure with type hints', () => {
+  const parameters = buildParameters(
+    ['id=5', 'email=foo@bar.com', 'created=2024-01-31T10:00:00Z', 'price=10.50', 'filter=a=b'],
+    ['created=TIMESTAMP', 'price=decimal', 'deleted=NULL']
+  );
+
+  assert.deepStrictEqual(parameters, [
+    { name: 'id', value: { longValue: 5 } },
+    { name: 'email', value: { stringValue: 'foo@bar.com' } },
+    { name: 'created', value: { stringValue: '2024-01-31 10:00:00' }, typeHint: 'TIMESTAMP' },
+    { name: 'price', value: { stringValue: '10.50' }, typeHint: 'DECIMAL' },
+    { name: 'filter', value: { stringValue: 'a=b' } },
+    { name: 'deleted', value: { isNull: true } }
+  ]);
+});
+
+test('should reject values that do not match their declared type', () => {
+  assert.throws(() => buildParameters(['id=abc'], ['id=LONG']), /Invalid value "abc" for parameter :id of type LONG/);
+  assert.throws(() => buildParameters(['doc={oops'], ['doc=JSON']), /Expected a JSON document/);
+  assert.throws(() => buildParameters(['id=1'], ['id=VARCHAR']), /Unknown parameter type "VARCHAR"/);
+  assert.throws(() => buildParameters([], ['id=LONG']), /:id has a --param-type but no --param value/);
+  assert.throws(() => buildParameters(['noequals']), /Invalid --param "noequals"/);
+});
+
+test('should find placeholders outside literals, comments and casts', () => {
+  const sql = `
+    SELECT created_at::date, ':not_a_param', "col:umn", $$ :body $$
+    FROM users -- :commented
+    WHERE id = :id AND email = :email /* :also_commented */ OR id = :id`;
+
+  assert.deepStrictEqual(findPlaceholders(sql), ['id', 'email']);
+});
+
+test('should append --parameters and validate placeholders against the SQL', () => {
+  const args = ['--sql', 'SELECT * FROM users WHERE id = :id'];
+
+  assert.deepStrictEqual(applyParameters(args, { params: ['id=5'] }), [
+    ...args,
+    '--parameters',
+    '[{"name":"id","value":{"longValue":5}}]'
+  ]);
+  const rawArgs = [...args, '--parameters', '[{"name":"id","value":{"longValue":5}}]'];
+  assert.strictEqual(applyParameters(rawArgs, {}), rawArgs, 'Arguments should be untouched with --parameters');
+  assert.throws(() => applyParameters(args, {}), /Missing value for :id. Use --param name=value./);
+  assert.deepStrictEqual(applyParameters(['--sql', 'SELECT 1'], {}), ['--sql', 'SELECT 1']);
+
+  assert.throws(() => applyParameters(args, { params: ['other=1'] }), /Missing value for :id/);
+  assert.throws(() => applyParameters(args, { params: ['id=1', 'extra=2'] }), /:extra is not used/);
+  assert.throws(() => applyParameters([...args, '--parameters', '[]'], { params: ['id=1'] }), /either --param\/--param-type or --parameters/);
+});
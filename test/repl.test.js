@@ -0,0 +1,168 @@
+// test/repl.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { startRepl } from '../src/repl.js';
+
+
+// Records of the calls made to the injected execute and display functions
+let executeCalls;
+let displayCalls;
+let historyDir;
+
+beforeEach(async () => {
+  executeCalls = [];
+  displayCalls = [];
+  historyDir = await mkdtemp(path.join(os.tmpdir(), 'rds-pretty-query-'));
+});
+
+afterEach(async () => {
+  await rm(historyDir, { recursive: true, force: true });
+});
+
+/**
+ * Runs a session fed with the given lines and returns everything it printed.
+ * @param {string[]} lines - The lines typed by the user.
+ * @param {object} [settings] - Extra settings for startRepl.
+ * @returns {Promise<string>} The session output.
+ */
+const runSession = async (lines, settings = {}) => {
+  const input = new PassThrough();
+  const output = new PassThrough();
+  let printed = '';
+  output.on('data', chunk => { printed += chunk.toString(); });
+
+  const session = startRepl({
+    execute: async (args) => {
+      executeCalls.push(args);
+      return { success: true, message: 'ok' };
+    },
+    display: (result, options) => displayCalls.push({ result, options }),
+    awsArgs: ['--resource-arn', 'arn:cluster'],
+    input,
+    output,
+    historyFile: path.join(historyDir, 'history'),
+    ...settings
+  });
+  input.end(lines.map(line => `${line}\n`).join(''));
+  await session;
+  return printed;
+};
+
+
+// --- Test Cases for the interactive session ---
+
+test('should execute multi-line statements once terminated by a semicolon', async () => {
+  await runSession(['SELECT *', 'FROM users', "WHERE note = 'a;b';", 'SELECT 1; SELECT 2;']);
+
+  assert.deepStrictEqual(executeCalls, [
+    ['--resource-arn', 'arn:cluster', '--sql', "SELECT *\nFROM users\nWHERE note = 'a;b'"],
+    ['--resource-arn', 'arn:cluster', '--sql', 'SELECT 1'],
+    ['--resource-arn', 'arn:cluster', '--sql', 'SELECT 2']
+  ]);
+  assert.strictEqual(displayCalls.length, 3, 'Every result should go through display');
+});
+
+test('should handle \\format, \\timing, \\x and \\q meta-commands', async () => {
+  const printed = await runSession(['\\format csv', '\\format xml', '\\timing', '\\x', '\\x sideways', 'SELECT 1;', '\\q', 'SELECT 2;']);
+
+  assert.deepStrictEqual(displayCalls.map(call => call.options), [{ format: 'csv', timing: true, vertical: true }]);
+  assert.match(printed, /Output format is csv\./);
+  assert.match(printed, /Unknown output format "xml"/);
+  assert.match(printed, /Timing is on\./);
+  assert.match(printed, /Vertical display is on\./);
+  assert.match(printed, /Unknown vertical mode "sideways"/);
+  assert.strictEqual(executeCalls.length, 1, 'Nothing should run after \\q');
+});
+
+test('should run meta-commands typed in the middle of a statement', async () => {
+  const printed = await runSession(['SELECT oops', '\\c', 'SELECT 1;', "SELECT 'multi", '\\c', "line';", 'SELECT 2', '\\q', 'SELECT 3;']);
+
+  assert.match(printed, /Statement cleared\./);
+  assert.deepStrictEqual(executeCalls.map(args => args.at(-1)), ['SELECT 1', "SELECT 'multi\n\\c\nline'"],
+    'A backslash line inside a literal is part of the literal, and \\q ends the session');
+});
+
+test('should switch targets with \\target', async () => {
+  const config = {
+    targets: {
+      prod: { resourceArn: 'arn:prod', secretArn: 'arn:secret', database: 'app' }
+    }
+  };
+  const printed = await runSession(['\\target prod', 'SELECT 1;', '\\target qa'], { awsArgs: [], config });
+
+  assert.deepStrictEqual(executeCalls, [
+    ['--resource-arn', 'arn:prod', '--secret-arn', 'arn:secret', '--database', 'app', '--sql', 'SELECT 1']
+  ]);
+  assert.match(printed, /Using target "prod"\./);
+  assert.match(printed, /Unknown target "qa"/);
+});
+
+test('should report errors and keep the session going', async () => {
+  const printed = await runSession(['SELECT boom;', 'SELECT 1;'], {
+    execute: async (args) => {
+      executeCalls.push(args);
+      if (args.includes('SELECT boom')) {
+        throw new Error('syntax error');
+      }
+      return { success: true, message: 'ok' };
+    }
+  });
+
+  assert.match(printed, /❌ syntax error/);
+  assert.strictEqual(executeCalls.length, 2);
+});
+
+test('should persist history to disk', async () => {
+  await runSession(['SELECT 1;', '', '\\q']);
+
+  assert.strictEqual(await readFile(path.join(historyDir, 'history'), 'utf8'), 'SELECT 1;\n\\q\n');
+});
+
+test('should ask for confirmations on the session prompt', async () => {
+  const config = { targets: { prod: { resourceArn: 'arn:prod', secretArn: 'arn:secret', readOnly: true } } };
+  const answers = [];
+  const printed = await runSession(['DROP TABLE t;', 'yes', 'SELECT 1;'], {
+    config,
+    target: 'prod',
+    execute: async (args, { confirm, readOnly }) => {
+      executeCalls.push(args);
+      if (args.includes('DROP TABLE t')) {
+        answers.push(await confirm('Sure? '));
+      }
+      assert.strictEqual(readOnly, true, 'The readOnly setting of the target should be passed');
+      return { success: true, message: 'ok' };
+    }
+  });
+
+  assert.deepStrictEqual(answers, [true]);
+  assert.match(printed, /Sure\? /);
+  assert.strictEqual(executeCalls.length, 2, 'The answer must not be run as SQL');
+});
+
+test('should describe tables with the catalog meta-commands', async () => {
+  const config = { targets: { prod: { resourceArn: 'arn:prod', engine: 'mysql' } } };
+  const printed = await runSession(['\\d users', '\\target prod', '\\dt', '\\di'], {
+    config,
+    execute: async (args) => {
+      executeCalls.push(args);
+      const sql = args[args.indexOf('--sql') + 1];
+      const version = /version\(\)/.test(sql) ? 'PostgreSQL 15.4' : 'users';
+      return { results: { columnMetadata: [{ name: 'value' }], records: [[{ stringValue: version }]] } };
+    }
+  });
+
+  const statements = executeCalls.map(args => args[args.indexOf('--sql') + 1]);
+  assert.strictEqual(statements[0], 'SELECT version()');
+  assert.match(statements[1], /to_regclass\(:table\)/, 'The detected engine should be used without target');
+  assert.match(statements[2], /table_schema NOT IN \('mysql'/, 'The engine of the target should be used');
+  assert.strictEqual(executeCalls.length, 3);
+  assert.strictEqual(displayCalls.length, 2);
+  assert.match(printed, /Usage: \\di <table>/);
+});
@@ -0,0 +1,99 @@
+// test/replay.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { mkdtemp, readdir, readFile, rm } from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+import { createRecordingSpawn, createReplaySpawn, fixtureName } from '../src/replay.js';
+import { executeAwsStatement } from '../src/aws.js';
+import { scriptedSpawn } from './helpers/spawn.js';
+
+
+// Temporary fixture directory, created fresh for each test
+let dir;
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(os.tmpdir(), 'rds-pretty-query-'));
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+});
+
+const args = ['--resource-arn', 'arn:cluster', '--secret-arn', 'arn:secret', '--sql', 'SELECT :n AS n', '--parameters', '[{"name":"n","value":{"longValue":1}}]'];
+const result = (n) => JSON.stringify({ columnMetadata: [{ name: 'n', typeName: 'int4' }], records: [[{ longValue: n }]] });
+
+
+// --- Test Cases for record and replay ---
+
+test('should record requests and responses to fixture files', async () => {
+  const spawn = createRecordingSpawn(scriptedSpawn([{ stdout: result(1) }]), dir);
+  await executeAwsStatement(spawn, args);
+
+  const files = await readdir(dir);
+  assert.strictEqual(files.length, 1);
+  assert.match(files[0], /^execute-statement-[0-9a-f]{12}\.json$/);
+
+  const fixture = JSON.parse(await readFile(path.join(dir, files[0]), 'utf8'));
+  assert.strictEqual(fixture.request.command, 'execute-statement');
+  assert.strictEqual(fixture.request.sql, 'SELECT :n AS n');
+  assert.deepStrictEqual(fixture.request.parameters, [{ name: 'n', value: { longValue: 1 } }]);
+  assert.deepStrictEqual(fixture.responses, [{ code: 0, output: JSON.parse(result(1)) }]);
+});
+
+test('should replay recorded responses in order without calling AWS', async () => {
+  const recorder = createRecordingSpawn(scriptedSpawn([{ stdout: result(1) }, { stdout: result(2) }]), dir);
+  await executeAwsStatement(recorder, args);
+  await executeAwsStatement(recorder, args);
+
+  const replay = createReplaySpawn(dir);
+  const values = [];
+  for (let i = 0; i < 3; i++) {
+    const output = await executeAwsStatement(replay, args);
+    values.push(output.results.records[0][0].longValue);
+  }
+  assert.deepStrictEqual(values, [1, 2, 2], 'The last response should be repeated');
+});
+
+test('should replay recorded failures and report missing fixtures', async () => {
+  const stderr = 'An error occurred (BadRequestException) when calling the ExecuteStatement operation: ERROR: boom';
+  await assert.rejects(executeAwsStatement(createRecordingSpawn(scriptedSpawn([{ stderr, code: 255 }]), dir), args));
+
+  const replay = createReplaySpawn(dir);
+  await assert.rejects(executeAwsStatement(replay, args), { message: 'SQL error: boom' });
+  await assert.rejects(
+    executeAwsStatement(replay, ['--resource-arn', 'arn:cluster', '--sql', 'SELECT 2']),
+    /No recorded response for this execute-statement call \(SELECT 2\): execute-statement-[0-9a-f]{12}\.json not found/
+  );
+});
+
+test('should ignore global AWS CLI options in fixture names', () => {
+  const cliArgs = ['rds-data', 'execute-statement', '--include-result-metadata', ...args];
+
+  assert.strictEqual(fixtureName([...cliArgs, '--profile', 'dev', '--region', 'eu-west-1']), fixtureName(cliArgs));
+  assert.notStrictEqual(fixtureName([...cliArgs, '--database', 'other']), fixtureName(cliArgs));
+});
+
+test('should mask the secret name and the account id in fixtures and their names', async () => {
+  const arnArgs = (account, secret) => [
+    '--resource-arn', `arn:aws:rds:eu-west-1:${account}:cluster:prod`,
+    `--secret-arn=arn:aws:secretsmanager:eu-west-1:${account}:secret:${secret}`,
+    '--sql', 'SELECT 1'
+  ];
+  const spawn = createRecordingSpawn(scriptedSpawn([{ stdout: result(1) }]), dir);
+  await executeAwsStatement(spawn, arnArgs('123456789012', 'prod/app-AbCdEf'));
+
+  const [file] = await readdir(dir);
+  const text = await readFile(path.join(dir, file), 'utf8');
+  assert.doesNotMatch(text, /123456789012|AbCdEf/);
+  assert.deepStrictEqual(JSON.parse(text).request.args.slice(1, 4), [
+    '--resource-arn', 'arn:aws:rds:eu-west-1:************:cluster:prod',
+    '--secret-arn=arn:aws:secretsmanager:eu-west-1:************:secret:****'
+  ]);
+
+  const output = await executeAwsStatement(createReplaySpawn(dir), arnArgs('210987654321', 'prod/app-XyZ'));
+  assert.strictEqual(output.results.records[0][0].longValue, 1);
+});
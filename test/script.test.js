@@ -0,0 +1,117 @@
+// test/script.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert';
+
+import { parseScript, runScript } from '../src/script.js';
+import { EXIT_CODES } from '../src/errors.js';
+import { scriptedSpawn } from './helpers/spawn.js';
+
+
+// --- Scripted mock for the injected spawn function ---
+
+// Calls made to the mock spawn function and the responses it plays back, in order
+let spawnCalls;
+let responses;
+let spawn;
+
+const connectionArgs = ['--resource-arn', 'arn:cluster', '--secret-arn', 'arn:secret', '--database', 'app'];
+let printed;
+const print = (line) => printed.push(line);
+
+beforeEach(() => {
+  spawnCalls = [];
+  responses = [];
+  spawn = scriptedSpawn(responses, { calls: spawnCalls });
+  printed = [];
+});
+
+
+// --- Test Cases for script files ---
+
+test('should parse a script into statements with their starting lines', () => {
+  const { statements, lines } = parseScript(`-- migration
+CREATE TABLE t (id int);
+
+INSERT INTO t VALUES (1);
+CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql;
+UPDATE t SET id = 2`);
+
+  assert.deepStrictEqual(statements, [
+    '-- migration\nCREATE TABLE t (id int)',
+    'INSERT INTO t VALUES (1)',
+    'CREATE FUNCTION f() RETURNS int AS $$ SELECT 1; $$ LANGUAGE sql',
+    'UPDATE t SET id = 2'
+  ]);
+  assert.deepStrictEqual(lines, [1, 4, 5, 6]);
+});
+
+test('should run statements in order and summarize affected rows', async () => {
+  responses.push(
+    { stdout: JSON.stringify({ numberOfRecordsUpdated: 2 }) },
+    { stdout: JSON.stringify({ numberOfRecordsUpdated: 3 }) }
+  );
+
+  const summary = await runScript(spawn, { statements: ['DELETE FROM a', 'DELETE FROM b'], lines: [1, 2], connectionArgs, print });
+
+  assert.deepStrictEqual(summary, { executed: 2, rowsAffected: 5 });
+  assert.deepStrictEqual(spawnCalls.map(args => args.slice(0, 2)), [['rds-data', 'execute-statement'], ['rds-data', 'execute-statement']]);
+  assert.match(printed[0], /^✅ \[1\/2\] line 1: DELETE FROM a \(2 rows affected, \d+ ms\)$/);
+  assert.match(printed.at(-1), /2 statements executed, 5 rows affected\./);
+});
+
+test('should wrap statements in a transaction and commit it', async () => {
+  responses.push(
+    { stdout: JSON.stringify({ transactionId: 'tx-1' }) },
+    { stdout: JSON.stringify({ numberOfRecordsUpdated: 1 }) },
+    { stdout: JSON.stringify({ transactionStatus: 'Transaction Committed' }) }
+  );
+
+  await runScript(spawn, { statements: ['UPDATE a SET x = 1'], connectionArgs, transaction: true, print });
+
+  assert.deepStrictEqual(spawnCalls, [
+    ['rds-data', 'begin-transaction', ...connectionArgs],
+    ['rds-data', 'execute-statement', '--include-result-metadata', ...connectionArgs, '--sql', 'UPDATE a SET x = 1', '--transaction-id', 'tx-1'],
+    ['rds-data', 'commit-transaction', '--resource-arn', 'arn:cluster', '--secret-arn', 'arn:secret', '--transaction-id', 'tx-1']
+  ]);
+  assert.match(printed.at(-1), /transaction committed/);
+});
+
+test('should not report outcomes for a dry run', async () => {
+  responses.push(
+    { stdout: JSON.stringify({ transactionId: 'dry-run' }) },
+    { stdout: '{}' },
+    { stdout: '{}' },
+    { stdout: '{}' }
+  );
+
+  const summary = await runScript(spawn, { statements: ['DELETE FROM a', 'DELETE FROM b'], connectionArgs, transaction: true, dryRun: true, print });
+
+  assert.deepStrictEqual(summary, { executed: 0, rowsAffected: 0 });
+  assert.strictEqual(spawnCalls.length, 4);
+  assert.deepStrictEqual(printed, ['\n📋 Dry run: 2 statements in a transaction, nothing was executed.']);
+});
+
+test('should roll back on the first failure and report the failed statement', async () => {
+  responses.push(
+    { stdout: JSON.stringify({ transactionId: 'tx-2' }) },
+    { stdout: JSON.stringify({ numberOfRecordsUpdated: 1 }) },
+    { code: 255, stderr: 'An error occurred (BadRequestException) when calling the ExecuteStatement operation: ERROR: syntax error at or near "UPDAT"' },
+    { stdout: JSON.stringify({ transactionStatus: 'Rollback Complete' }) }
+  );
+
+  await assert.rejects(
+      runScript(spawn, { statements: ['INSERT INTO a VALUES (1)', 'UPDAT a', 'SELECT 1'], lines: [1, 3, 5], connectionArgs, transaction: true, print }),
+      (error) => {
+        assert.match(error.message, /Statement 2 of 3 \(line 3\) failed: UPDAT a\n[\s\S]*syntax error[\s\S]*Transaction rolled back/);
+        assert.strictEqual(error.exitCode, EXIT_CODES.SQL_ERROR);
+        assert.strictEqual(error.cause.code, 'BadRequestException');
+        return true;
+      }
+  );
+
+  assert.strictEqual(spawnCalls.length, 4, 'No statement should run after the failure');
+  assert.strictEqual(spawnCalls[3][1], 'rollback-transaction');
+  assert.strictEqual(printed.at(-1), '❌ [2/3] line 3: UPDAT a');
+});
@@ -0,0 +1,66 @@
+// test/sql.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { splitStatements, tokenizeSql, hasSqlContent, previewStatement } from '../src/sql.js';
+
+
+// --- Test Cases for the SQL lexer ---
+
+test('should split statements on semicolons outside literals and comments', () => {
+  const { statements, remainder } = splitStatements(`
+    SELECT 'a;b', "odd;name" FROM t; -- trailing; comment
+    /* block; comment */ UPDATE t SET x = 'it''s;'; SELECT 3`);
+
+  assert.deepStrictEqual(statements, [
+    `SELECT 'a;b', "odd;name" FROM t`,
+    `-- trailing; comment\n    /* block; comment */ UPDATE t SET x = 'it''s;'`
+  ]);
+  assert.strictEqual(remainder.trim(), 'SELECT 3', 'The unterminated statement should be returned as remainder');
+});
+
+test('should keep dollar-quoted function bodies in one statement', () => {
+  const sql = `CREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql;
+DO $$ BEGIN PERFORM 1; END $$;`;
+
+  assert.deepStrictEqual(splitStatements(sql).statements, [
+    'CREATE FUNCTION f() RETURNS int AS $body$ BEGIN RETURN 1; END; $body$ LANGUAGE plpgsql',
+    'DO $$ BEGIN PERFORM 1; END $$'
+  ]);
+});
+
+test('should honour backslash escapes only in E strings', () => {
+  assert.deepStrictEqual(splitStatements(`SELECT E'it\\'s;'; SELECT 'C:\\';`).statements, [
+    `SELECT E'it\\'s;'`,
+    `SELECT 'C:\\'`
+  ]);
+});
+
+test('should honour MySQL backslash escapes and # comments with the mysql engine', () => {
+  const script = "INSERT INTO t VALUES ('it\\'s; fine', \"say \\\"hi\\\"; now\"); SELECT 1 # comment; here\n;";
+
+  assert.deepStrictEqual(splitStatements(script, { engine: 'mysql' }).statements, [
+    "INSERT INTO t VALUES ('it\\'s; fine', \"say \\\"hi\\\"; now\")",
+    'SELECT 1 # comment; here'
+  ]);
+  assert.strictEqual(splitStatements("SELECT 'C:\\'; SELECT 2;").statements.length, 2, 'Postgres strings have no backslash escapes');
+  assert.deepStrictEqual(splitStatements("SELECT doc #> '{a}' FROM t; SELECT 2;").statements, ["SELECT doc #> '{a}' FROM t", 'SELECT 2'],
+    'On Postgres # is an operator');
+});
+
+test('should flag unterminated literals and drop comment-only statements', () => {
+  const segments = tokenizeSql(`SELECT 'open`);
+  assert.strictEqual(segments[1].type, 'string');
+  assert.strictEqual(segments[1].unterminated, true);
+
+  assert.deepStrictEqual(splitStatements('-- nothing here;\n;').statements, []);
+  assert.strictEqual(hasSqlContent('  /* only a comment */ '), false);
+  assert.strictEqual(hasSqlContent('SELECT 1'), true);
+});
+
+test('should preview statements on a single shortened line', () => {
+  assert.strictEqual(previewStatement('  SELECT *\n  FROM users  '), 'SELECT * FROM users');
+  assert.strictEqual(previewStatement(`SELECT ${'x'.repeat(80)}`), `SELECT ${'x'.repeat(52)}…`);
+});
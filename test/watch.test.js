@@ -0,0 +1,75 @@
+// test/watch.test.js
+
+// Import necessary modules from Node.js built-in test runner and assert library
+import { test } from 'node:test';
+import assert from 'node:assert';
+
+import { runWatch } from '../src/watch.js';
+import { parseCliArgs } from '../src/options.js';
+
+
+/**
+ * Mock execute function returning the given (id, status) rows, one list per run.
+ * @param {Array<Array<[number, string]>>} runs - The rows of each run.
+ * @returns {function} The mock execute function.
+ */
+const scriptedExecute = (runs) => async () => ({
+  results: {
+    columnMetadata: [{ name: 'id', typeName: 'int4' }, { name: 'status', typeName: 'text' }],
+    records: runs.shift().map(([id, status]) => [{ longValue: id }, { stringValue: status }])
+  }
+});
+
+// Settings shared by the tests: no real waiting and a fixed clock
+const settings = (written, sleeps) => ({
+  interval: 5,
+  write: text => written.push(text),
+  status: text => written.push(text),
+  sleep: async (ms) => { sleeps.push(ms); },
+  now: () => new Date(2024, 0, 31, 10, 42, 7)
+});
+
+
+// --- Test Cases for watch mode ---
+
+test('should re-run the query until it returns no rows', async () => {
+  const written = [];
+  const sleeps = [];
+  const execute = scriptedExecute([[[1, 'queued'], [2, 'queued']], [[2, 'running']], []]);
+
+  const summary = await runWatch(execute, ['--sql', 'SELECT * FROM jobs'], { ...settings(written, sleeps), untilRows: 0 });
+
+  assert.deepStrictEqual(summary, { runs: 3, rows: 0 });
+  assert.deepStrictEqual(sleeps, [5000, 5000]);
+  assert.match(written[0], /^\n🔁 Every 5 s · 10:42:07 · 2 rows\n\n {3}id \| status/);
+  assert.match(written[1], /· 1 row \(-1\)\n/);
+  assert.match(written[2], /· 0 rows \(-1\)\n/);
+});
+
+test('should highlight the cells that changed since the previous run', async () => {
+  const written = [];
+  const execute = scriptedExecute([[[1, 'queued'], [2, 'queued']], [[2, 'running'], [3, 'queued']], []]);
+
+  await runWatch(execute, [], { ...settings(written, []), key: ['id'], untilRows: 0, color: true, redraw: true });
+  const lines = written[1].split('\n');
+  assert.ok(written[1].startsWith('\x1b[H\x1b[J🔁'), 'The screen should be cleared before each run');
+  assert.strictEqual(lines[4], '•  2 | \x1b[7mrunning\x1b[0m', 'Rows are matched by key, so only the status changed');
+  assert.strictEqual(lines[5], '• \x1b[32m 3\x1b[0m | \x1b[32mqueued \x1b[0m', 'New rows are highlighted whole');
+});
+
+test('should write the other formats without highlighting', async () => {
+  const written = [];
+  await runWatch(scriptedExecute([[[1, 'queued']]]), [], { ...settings(written, []), format: 'csv', untilRows: 1 });
+
+  assert.deepStrictEqual(written, ['🔁 Every 5 s · 10:42:07 · 1 row', 'id,status\n1,queued\n']);
+  await assert.rejects(runWatch(async () => ({ message: 'ok' }), [], { interval: 1 }), /--watch needs a query returning rows/);
+});
+
+test('should validate the watch options', () => {
+  const { options } = parseCliArgs(['--watch', '2.5', '--until-rows', '0']);
+
+  assert.strictEqual(options.watch, 2.5);
+  assert.strictEqual(options.untilRows, 0);
+  assert.throws(() => parseCliArgs(['--watch', 'often']), /--watch must be a positive number of seconds/);
+  assert.throws(() => parseCliArgs(['--until-rows', '-1']), /--until-rows must be a non-negative integer/);
+});